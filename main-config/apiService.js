@@ -1,9 +1,14 @@
 // apiService.js
 import { Logger } from './logger.js';
+import { sortResults } from './resultSort.js';
+import { applyExclusions } from './publicationExclusions.js';
+import { normalizePublicationNumber } from './resultFamilies.js';
 
 export default class APIService {
   constructor(apiConfig) {
     this.apiConfig = apiConfig;
+    // Last full hit list from a backend without paging: { key, hits }
+    this.unpagedHits = null;
   }
 
   // Generic API request handler with optional body wrapping
@@ -100,7 +105,29 @@ export default class APIService {
     });
     return result.keywords;
   }
-  async generateAdditionalKeywords(currentKeywords, description = '', method = '') {
+
+  // Generate keywords grouped into concept blocks ({ name, keywords } per inventive element).
+  // Falls back to a single block when the endpoint only returns a flat list.
+  async generateConceptBlocks(description) {
+    if (!description || description.trim() === "") {
+      throw new Error("Description cannot be empty");
+    }
+    const result = await this.makeRequest("generateKeywords", {
+      method: "POST",
+      body: { description: description.trim(), group_by_concept: true },
+      wrapBody: false,
+    });
+
+    if (Array.isArray(result?.concepts) && result.concepts.length > 0) {
+      return result.concepts;
+    }
+    return Array.isArray(result?.keywords) && result.keywords.length > 0
+      ? [{ name: "Concept 1", keywords: result.keywords }]
+      : [];
+  }
+  // feedback: { positive, negative } examples from relevanceFeedback.collectFeedback.
+  // Returns { keywords, excludeKeywords }.
+  async generateAdditionalKeywords(currentKeywords, description = '', method = '', feedback = null) {
     const requestBody = {
       keywords: currentKeywords
     };
@@ -111,24 +138,130 @@ export default class APIService {
       requestBody.description = description.trim();
     }
 
+    const toAbstract = example => [example.title, example.abstract].filter(Boolean).join('. ');
+    if (feedback?.positive?.length) {
+      requestBody.positive_examples = feedback.positive.map(toAbstract);
+    }
+    if (feedback?.negative?.length) {
+      requestBody.negative_examples = feedback.negative.map(toAbstract);
+    }
+
     const result = await this.makeRequest("generateKeywords", {
       method: "POST",
       body: requestBody,
       wrapBody: false // Important: Keep this false to match existing endpoint format
     });
 
-    return result.keywords || [];
+    return {
+      keywords: result.keywords || [],
+      excludeKeywords: result.exclude_keywords || []
+    };
   }
-  async executeSearch(searchInput) {
+  // Fetch one page of results. Returns { results, total, totalIsEstimate, page, pageSize }.
+  // refresh skips the unpaged hit list kept from an earlier call. filter: false
+  // leaves excluded rows the backend returned in place, for callers that drop
+  // them once over many pages.
+  async executeSearch(searchInput, { page = 1, pageSize = 10, sort = null, refresh = false, filter = true } = {}) {
     if (!searchInput || !searchInput.library) {
       throw new Error("Invalid search input");
     }
 
-    return await this.makeRequest("execute", {
+    const offset = (page - 1) * pageSize;
+    // Excluded publications are dropped here too, for backends that ignore
+    // excludePublications
+    const excluded = filter ? searchInput.filters?.excludePublications : null;
+
+    // Deployments without paging support return every hit as a plain array.
+    // It is downloaded once per search input and sorted and paged here.
+    const key = JSON.stringify(searchInput);
+    if (!refresh && this.unpagedHits?.key === key) {
+      return this.pageUnpagedHits(this.unpagedHits.hits, { page, pageSize, sort, excluded });
+    }
+
+    // A backend that ignores the exclusions would leave holes in the page, so
+    // the page asks for one extra row per exclusion and is cut here
+    const body = { ...searchInput, page, offset, limit: pageSize + (excluded?.length || 0) };
+    if (sort) {
+      body.sort_by = sort.field;
+      body.sort_direction = sort.direction;
+    }
+
+    const data = await this.makeRequest("execute", {
       method: "POST",
-      body: searchInput,
+      body,
       baseType: "search",
       wrapBody: false
     });
+
+    if (Array.isArray(data)) {
+      this.unpagedHits = { key, hits: data };
+      return this.pageUnpagedHits(data, { page, pageSize, sort, excluded });
+    }
+    this.unpagedHits = null;
+
+    const fetched = data?.results || data?.items || [];
+    const total = data?.total ?? data?.total_count ?? fetched.length;
+    if (!excluded?.length) {
+      return { results: fetched, total, totalIsEstimate: false, page, pageSize };
+    }
+
+    // No excluded rows came back: the backend honoured the exclusions
+    const kept = applyExclusions(fetched, excluded);
+    if (kept.length === fetched.length) {
+      return { results: fetched.slice(0, pageSize), total, totalIsEstimate: false, page, pageSize };
+    }
+    return {
+      results: kept.slice(0, pageSize),
+      total: Math.max(0, total - (fetched.length - kept.length)),
+      totalIsEstimate: !(offset === 0 && fetched.length >= total) && !this.foundAllExclusions(fetched, kept, excluded),
+      page,
+      pageSize
+    };
+  }
+
+  // Once every excluded publication has turned up in the page the total is
+  // exact; until then excluded rows outside it may still be counted in it
+  foundAllExclusions(fetched, kept, excluded) {
+    const keptNumbers = new Set(kept.map(item => item.publication_number));
+    const dropped = new Set(fetched
+      .filter(item => !keptNumbers.has(item.publication_number))
+      .map(item => normalizePublicationNumber(item.publication_number)));
+    return dropped.size >= new Set(excluded.map(normalizePublicationNumber)).size;
+  }
+
+  pageUnpagedHits(hits, { page, pageSize, sort, excluded }) {
+    const offset = (page - 1) * pageSize;
+    const kept = applyExclusions(hits, excluded);
+    return {
+      results: sortResults(kept, sort).slice(offset, offset + pageSize),
+      total: kept.length,
+      totalIsEstimate: false,
+      page,
+      pageSize
+    };
+  }
+
+  // Page through a whole result set, stopping at `limit` results.
+  // Returns { results, total }; results.length < total when capped.
+  // Excluded rows are dropped once at the end rather than per page.
+  async fetchAllResults(searchInput, { sort = null, pageSize = 100, limit = 1000 } = {}) {
+    const excluded = searchInput?.filters?.excludePublications || [];
+    const fetched = [];
+    let total = 0;
+    let page = 1;
+
+    do {
+      const response = await this.executeSearch(searchInput, { page, pageSize, sort, filter: false });
+      total = response.total;
+      if (!response.results.length) break;
+      fetched.push(...response.results);
+      page++;
+    } while (fetched.length < Math.min(total, limit + excluded.length));
+
+    const results = applyExclusions(fetched, excluded);
+    return {
+      results: results.slice(0, limit),
+      total: Math.max(0, total - (fetched.length - results.length))
+    };
   }
 }
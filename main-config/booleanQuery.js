@@ -0,0 +1,285 @@
+// booleanQuery.js
+// Keyword query trees stored in the "keywords-boolean" filter.
+//
+// A tree is made of two node types:
+//   { id, type: 'group', operator: 'AND' | 'OR', negate, children: [...] }
+//   { id, type: 'term', value, negate }
+// All helpers return a new tree and never mutate the one passed in.
+
+export const BOOLEAN_OPERATORS = ['AND', 'OR'];
+
+function generateNodeId() {
+  return 'bq-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+function cloneTree(tree) {
+  return tree ? JSON.parse(JSON.stringify(tree)) : null;
+}
+
+export function createGroup(operator = 'AND', negate = false) {
+  return {
+    id: generateNodeId(),
+    type: 'group',
+    operator: BOOLEAN_OPERATORS.includes(operator) ? operator : 'AND',
+    negate: !!negate,
+    children: []
+  };
+}
+
+export function createTerm(value, negate = false) {
+  return {
+    id: generateNodeId(),
+    type: 'term',
+    value: String(value || '').trim(),
+    negate: !!negate
+  };
+}
+
+export function findNode(tree, nodeId) {
+  if (!tree) return null;
+  if (tree.id === nodeId) return tree;
+  if (tree.type !== 'group') return null;
+  for (const child of tree.children) {
+    const found = findNode(child, nodeId);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Adding to a missing tree (or with no parent) creates an AND root group first
+export function addNode(tree, parentId, node) {
+  const next = cloneTree(tree) || createGroup('AND');
+  const parent = parentId ? findNode(next, parentId) : next;
+  if (!parent || parent.type !== 'group') return next;
+  parent.children.push(node);
+  return next;
+}
+
+// Removing the root clears the whole tree
+export function removeNode(tree, nodeId) {
+  if (!tree || tree.id === nodeId) return null;
+  const next = cloneTree(tree);
+  const prune = group => {
+    group.children = group.children.filter(child => child.id !== nodeId);
+    group.children.filter(child => child.type === 'group').forEach(prune);
+  };
+  prune(next);
+  return next;
+}
+
+export function updateNode(tree, nodeId, changes = {}) {
+  const next = cloneTree(tree);
+  const node = findNode(next, nodeId);
+  if (!node) return next;
+
+  if ('negate' in changes) node.negate = !!changes.negate;
+  if (node.type === 'group' && BOOLEAN_OPERATORS.includes(changes.operator)) {
+    node.operator = changes.operator;
+  }
+  if (node.type === 'term' && typeof changes.value === 'string' && changes.value.trim()) {
+    node.value = changes.value.trim();
+  }
+  return next;
+}
+
+/**
+ * Structured form sent to the search API. Ids are dropped, blank terms and
+ * empty groups are pruned, and null is returned when nothing is left.
+ *   { operator: 'AND', negate: false, children: [{ term: 'sensor', negate: false }, ...] }
+ */
+export function serializeBooleanQuery(node) {
+  if (!node) return null;
+
+  if (node.type === 'term') {
+    return node.value ? { term: node.value, negate: !!node.negate } : null;
+  }
+
+  const children = (node.children || []).map(serializeBooleanQuery).filter(Boolean);
+  if (!children.length) return null;
+
+  return {
+    operator: node.operator,
+    negate: !!node.negate,
+    children
+  };
+}
+
+/**
+ * Combine several query trees (or already serialized queries) under one AND.
+ * Returns the serialized form, or null when every part is empty.
+ */
+export function combineQueries(...queries) {
+  const parts = queries
+    .map(query => (query && query.type ? serializeBooleanQuery(query) : query))
+    .filter(Boolean);
+
+  if (!parts.length) return null;
+  if (parts.length === 1) return parts[0];
+  return { operator: 'AND', negate: false, children: parts };
+}
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Terms with spaces, quotes, parentheses or backslashes are quoted, with " and
+// \ escaped by a backslash. So are terms spelled like an operator.
+export function quoteTerm(term) {
+  const value = String(term);
+  return /[\s()"\\]/.test(value) || KEYWORDS.includes(value) || !value
+    ? `"${value.replace(/["\\]/g, '\\$&')}"`
+    : value;
+}
+
+/**
+ * Human readable form for previews and reports, e.g.
+ *   (sensor OR detector) AND (wireless OR bluetooth) AND NOT medical
+ * Accepts either a tree or its serialized form.
+ */
+export function toQueryString(query, isRoot = true) {
+  const node = query && query.type ? serializeBooleanQuery(query) : query;
+  if (!node) return '';
+
+  if ('term' in node) {
+    return `${node.negate ? 'NOT ' : ''}${quoteTerm(node.term)}`;
+  }
+
+  const inner = node.children
+    .map(child => toQueryString(child, false))
+    .join(` ${node.operator} `);
+  const wrapped = isRoot && !node.negate ? inner : `(${inner})`;
+  return `${node.negate ? 'NOT ' : ''}${wrapped}`;
+}
+
+/**
+ * Every term value in a query, split by whether it is negated once all the
+ * NOTs above it are applied:
+ *   { include: ['sensor', 'detector'], exclude: ['medical'] }
+ * Accepts either a tree or its serialized form.
+ */
+export function collectTerms(query) {
+  const node = query && query.type ? serializeBooleanQuery(query) : query;
+  const terms = { include: [], exclude: [] };
+
+  const visit = (current, negated) => {
+    const isNegated = negated !== !!current.negate;
+    if ('term' in current) {
+      terms[isNegated ? 'exclude' : 'include'].push(current.term);
+      return;
+    }
+    current.children.forEach(child => visit(child, isNegated));
+  };
+
+  if (node) visit(node, false);
+  return terms;
+}
+
+// "...", with \" and \\ as escapes, starting at the opening quote
+export function readQuoted(text, start) {
+  let value = '';
+  let i = start + 1;
+  while (i < text.length && text[i] !== '"') {
+    if (text[i] === '\\' && i + 1 < text.length) i++;
+    value += text[i++];
+  }
+  return { value, end: Math.min(i + 1, text.length), closed: i < text.length };
+}
+
+function tokenizeQueryString(text, errors) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const start = i;
+    if (/\s/.test(text[i])) {
+      i++;
+    } else if (text[i] === '(' || text[i] === ')') {
+      tokens.push({ type: text[i], start, end: ++i });
+    } else if (text[i] === '"') {
+      const quoted = readQuoted(text, i);
+      if (!quoted.closed) errors.push({ message: 'Unterminated quote', start, end: text.length });
+      tokens.push({ type: 'term', value: quoted.value, start, end: (i = quoted.end) });
+    } else {
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      tokens.push(KEYWORDS.includes(word)
+        ? { type: word, start, end: i }
+        : { type: 'term', value: word, start, end: i });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Inverse of toQueryString(): reads "(sensor OR detector) AND NOT medical"
+ * back into a tree. Operators are upper case, terms next to each other are
+ * ANDed, and one group can't mix AND and OR without parentheses.
+ * Returns { tree, errors }, errors holding { message, start, end } offsets.
+ */
+export function parseQueryString(text) {
+  const source = String(text || '');
+  const errors = [];
+  const tokens = tokenizeQueryString(source, errors);
+  let pos = 0;
+
+  const parseGroup = depth => {
+    const group = createGroup('AND');
+    let operator = null;
+
+    while (pos < tokens.length) {
+      if (tokens[pos].type === ')') {
+        if (depth > 0) break;
+        errors.push({ message: 'Unmatched ")"', start: tokens[pos].start, end: tokens[pos].end });
+        pos++;
+        continue;
+      }
+
+      if (group.children.length) {
+        const token = tokens[pos];
+        const next = BOOLEAN_OPERATORS.includes(token.type) ? token.type : 'AND';
+        if (next === token.type) pos++;
+        if (operator && next !== operator) {
+          errors.push({ message: 'Use parentheses to mix AND and OR', start: token.start, end: token.end });
+        }
+        operator = operator || next;
+      }
+
+      let negate = false;
+      while (tokens[pos]?.type === 'NOT') {
+        negate = !negate;
+        pos++;
+      }
+
+      const token = tokens[pos];
+      if (!token || token.type === ')' || BOOLEAN_OPERATORS.includes(token.type)) {
+        const at = token || { start: source.length, end: source.length };
+        errors.push({ message: 'Expected a term or "("', start: at.start, end: at.end });
+        if (!token || token.type === ')') break;
+        pos++;
+        continue;
+      }
+
+      pos++;
+      if (token.type === 'term') {
+        group.children.push(createTerm(token.value, negate));
+      } else {
+        const child = parseGroup(depth + 1);
+        child.negate = negate;
+        group.children.push(child);
+        if (tokens[pos]?.type === ')') {
+          pos++;
+        } else {
+          errors.push({ message: 'Missing ")"', start: token.start, end: source.length });
+        }
+      }
+    }
+
+    group.operator = operator || 'AND';
+    return group;
+  };
+
+  let tree = parseGroup(0);
+  // "(a OR b)" and "NOT (a OR b)" are the group itself, not an AND around it
+  if (tree.children.length === 1 && tree.children[0].type === 'group') {
+    tree = tree.children[0];
+  }
+  errors.sort((a, b) => a.start - b.start);
+  return { tree: tree.children.length ? tree : null, errors };
+}
@@ -0,0 +1,197 @@
+// booleanQueryBuilder.js
+import { EventTypes } from "./eventTypes.js";
+import { BOOLEAN_OPERATORS, toQueryString } from "./booleanQuery.js";
+
+// Renders the "keywords-boolean" tree inside the keywords step. The builder only
+// emits events; SearchApp applies them to the filter and the state subscription
+// re-renders the editor.
+export class BooleanQueryBuilder {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '[data-boolean-builder="root"]',
+      preview: '[data-boolean-builder="preview"]'
+    };
+    // Group whose term input should keep focus after the next render
+    this.focusGroupId = null;
+  }
+
+  render(state) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    const tree = state.filters?.find(f => f.name === "keywords-boolean")?.value || null;
+
+    root.innerHTML = '';
+    if (tree) {
+      root.appendChild(this.createGroupElement(tree, true));
+    } else {
+      root.appendChild(this.createAddControls(null));
+    }
+
+    const preview = document.querySelector(this.selectors.preview);
+    if (preview) {
+      const text = toQueryString(tree);
+      preview.textContent = text;
+      preview.style.display = text ? '' : 'none';
+    }
+
+    if (this.focusGroupId !== null) {
+      // Terms added without a parent land in the root group
+      const groupId = this.focusGroupId || tree?.id || 'root';
+      const input = root.querySelector(`[data-boolean-input="${groupId}"]`);
+      if (input) input.focus();
+      this.focusGroupId = null;
+    }
+  }
+
+  createGroupElement(group, isRoot = false) {
+    const groupEl = document.createElement('div');
+    groupEl.className = `boolean-builder_group${isRoot ? ' is-root' : ''}`;
+    groupEl.dataset.nodeId = group.id;
+
+    const header = document.createElement('div');
+    header.className = 'boolean-builder_group-header';
+
+    const operatorSelect = document.createElement('select');
+    operatorSelect.className = 'boolean-builder_operator';
+    BOOLEAN_OPERATORS.forEach(operator => {
+      const option = document.createElement('option');
+      option.value = operator;
+      option.textContent = operator === 'AND' ? 'All of (AND)' : 'Any of (OR)';
+      option.selected = group.operator === operator;
+      operatorSelect.appendChild(option);
+    });
+    operatorSelect.addEventListener('change', () => {
+      this.emitUpdate(group.id, { operator: operatorSelect.value });
+    });
+    header.appendChild(operatorSelect);
+
+    header.appendChild(this.createNegateToggle(group));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'boolean-builder_remove';
+    removeBtn.textContent = isRoot ? 'Clear' : 'Remove group';
+    removeBtn.addEventListener('click', e => {
+      e.preventDefault();
+      this.eventBus.emit(EventTypes.BOOLEAN_NODE_REMOVED, { nodeId: group.id });
+    });
+    header.appendChild(removeBtn);
+
+    groupEl.appendChild(header);
+
+    const children = document.createElement('div');
+    children.className = 'boolean-builder_children';
+    group.children.forEach(child => {
+      children.appendChild(
+        child.type === 'group' ? this.createGroupElement(child) : this.createTermElement(child)
+      );
+    });
+    groupEl.appendChild(children);
+
+    groupEl.appendChild(this.createAddControls(group.id));
+    return groupEl;
+  }
+
+  createTermElement(term) {
+    const termEl = document.createElement('div');
+    termEl.className = `boolean-builder_term${term.negate ? ' is-negated' : ''}`;
+    termEl.dataset.nodeId = term.id;
+
+    const text = document.createElement('span');
+    text.className = 'boolean-builder_term-text';
+    text.textContent = term.value;
+    termEl.appendChild(text);
+
+    termEl.appendChild(this.createNegateToggle(term));
+
+    const removeIcon = document.createElement('button');
+    removeIcon.type = 'button';
+    removeIcon.className = 'boolean-builder_term-remove';
+    removeIcon.setAttribute('aria-label', `Remove ${term.value}`);
+    removeIcon.textContent = '×';
+    removeIcon.addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.eventBus.emit(EventTypes.BOOLEAN_NODE_REMOVED, { nodeId: term.id });
+    });
+    termEl.appendChild(removeIcon);
+
+    return termEl;
+  }
+
+  createNegateToggle(node) {
+    const label = document.createElement('label');
+    label.className = 'boolean-builder_negate';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !!node.negate;
+    checkbox.addEventListener('change', () => {
+      this.emitUpdate(node.id, { negate: checkbox.checked });
+    });
+
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode('NOT'));
+    return label;
+  }
+
+  createAddControls(parentId) {
+    const controls = document.createElement('div');
+    controls.className = 'boolean-builder_add';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'boolean-builder_input';
+    input.placeholder = 'Add term';
+    input.dataset.booleanInput = parentId || 'root';
+
+    const addTerm = () => {
+      const value = input.value.trim();
+      if (value.length < 2) return;
+      this.focusGroupId = parentId || '';
+      this.eventBus.emit(EventTypes.BOOLEAN_NODE_ADDED, {
+        parentId,
+        node: { type: 'term', value }
+      });
+    };
+
+    input.addEventListener('keypress', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addTerm();
+      }
+    });
+    controls.appendChild(input);
+
+    const addTermBtn = document.createElement('button');
+    addTermBtn.type = 'button';
+    addTermBtn.className = 'boolean-builder_add-term';
+    addTermBtn.textContent = 'Add';
+    addTermBtn.addEventListener('click', e => {
+      e.preventDefault();
+      addTerm();
+    });
+    controls.appendChild(addTermBtn);
+
+    const addGroupBtn = document.createElement('button');
+    addGroupBtn.type = 'button';
+    addGroupBtn.className = 'boolean-builder_add-group';
+    addGroupBtn.textContent = '+ Group';
+    addGroupBtn.addEventListener('click', e => {
+      e.preventDefault();
+      this.eventBus.emit(EventTypes.BOOLEAN_NODE_ADDED, {
+        parentId,
+        node: { type: 'group', operator: 'OR' }
+      });
+    });
+    controls.appendChild(addGroupBtn);
+
+    return controls;
+  }
+
+  emitUpdate(nodeId, changes) {
+    this.eventBus.emit(EventTypes.BOOLEAN_NODE_UPDATED, { nodeId, changes });
+  }
+}
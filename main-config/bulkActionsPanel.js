@@ -0,0 +1,158 @@
+// bulkActionsPanel.js
+import { Logger } from "./logger.js";
+import { EventTypes } from "./eventTypes.js";
+import { collectTags } from "./resultAnnotations.js";
+import { EXPORT_FORMATS } from "./resultExport.js";
+
+// Toolbar in #bulk-actions for the rows selected in the results table: tag,
+// export, copy numbers, exclude from future runs and add to a collection.
+// Hidden while nothing is selected.
+export class BulkActionsPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#bulk-actions'
+    };
+  }
+
+  render(state) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    const search = state.search || {};
+    const selected = search.selected || [];
+    root.innerHTML = '';
+    root.style.display = selected.length ? '' : 'none';
+    if (!selected.length) return;
+
+    root.appendChild(this.createSummary(search, selected));
+    root.appendChild(this.createTagControl(collectTags(state.annotations)));
+    root.appendChild(this.createExportControl());
+    root.appendChild(this.createCopyButton(selected));
+    root.appendChild(this.createCollectionControl(state.collections || []));
+    root.appendChild(this.createButton('Exclude from future runs', 'bulk-actions_exclude', () => {
+      if (confirm(`Exclude ${selected.length} selected result(s) from future search runs?`)) {
+        this.eventBus.emit(EventTypes.RESULTS_BULK_EXCLUDED);
+      }
+    }));
+    root.appendChild(this.createButton('Clear selection', 'bulk-actions_clear', () => {
+      this.eventBus.emit(EventTypes.RESULT_SELECTION_CLEARED);
+    }));
+  }
+
+  createButton(label, className, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', e => {
+      e.preventDefault();
+      onClick();
+    });
+    return button;
+  }
+
+  // Once the whole page is selected, offer to extend to every result
+  createSummary(search, selected) {
+    const summary = document.createElement('div');
+    summary.className = 'bulk-actions_summary';
+    summary.textContent = `${selected.length} selected`;
+
+    const pageNumbers = (search.results || []).map(item => item.publication_number);
+    const total = search.refinement ? (search.refined_total ?? 0) : (search.total_results ?? 0);
+    const pageSelected = pageNumbers.length && pageNumbers.every(number => selected.includes(number));
+    if (pageSelected && selected.length < total) {
+      summary.appendChild(this.createButton(`Select all ${total} results`, 'bulk-actions_select-all', () => {
+        this.eventBus.emit(EventTypes.RESULT_SELECTION_ALL_REQUESTED);
+      }));
+    }
+    return summary;
+  }
+
+  createTagControl(tags) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bulk-actions_tag';
+
+    const select = document.createElement('select');
+    tags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      select.appendChild(option);
+    });
+    wrapper.appendChild(select);
+
+    wrapper.appendChild(this.createButton('Tag', 'bulk-actions_apply', () => {
+      this.eventBus.emit(EventTypes.RESULTS_BULK_TAGGED, { tag: select.value });
+    }));
+    return wrapper;
+  }
+
+  createExportControl() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bulk-actions_export';
+
+    const select = document.createElement('select');
+    Object.entries(EXPORT_FORMATS).forEach(([format, config]) => {
+      const option = document.createElement('option');
+      option.value = format;
+      option.textContent = config.label;
+      select.appendChild(option);
+    });
+    wrapper.appendChild(select);
+
+    wrapper.appendChild(this.createButton('Export', 'bulk-actions_apply', () => {
+      this.eventBus.emit(EventTypes.RESULTS_EXPORT_REQUESTED, { format: select.value, scope: 'selected' });
+    }));
+    return wrapper;
+  }
+
+  createCopyButton(selected) {
+    const button = this.createButton('Copy numbers', 'bulk-actions_copy', async () => {
+      try {
+        await navigator.clipboard.writeText(selected.join('\n'));
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = 'Copy numbers'; }, 1500);
+      } catch (error) {
+        Logger.error('Failed to copy publication numbers:', error);
+        alert('Could not copy to the clipboard');
+      }
+    });
+    return button;
+  }
+
+  // Existing collection names are suggested; any other name starts a new one
+  createCollectionControl(collections) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bulk-actions_collection';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Collection name';
+    input.setAttribute('list', 'bulk-actions-collections');
+    wrapper.appendChild(input);
+
+    const datalist = document.createElement('datalist');
+    datalist.id = 'bulk-actions-collections';
+    collections.forEach(collection => {
+      const option = document.createElement('option');
+      option.value = collection.name;
+      datalist.appendChild(option);
+    });
+    wrapper.appendChild(datalist);
+
+    const add = () => {
+      const name = input.value.trim();
+      if (!name) return;
+      this.eventBus.emit(EventTypes.RESULTS_COLLECTION_ADDED, { name });
+    };
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        add();
+      }
+    });
+    wrapper.appendChild(this.createButton('Add to collection', 'bulk-actions_apply', add));
+    return wrapper;
+  }
+}
@@ -0,0 +1,94 @@
+// claimsParser.js
+// Splits patent claims into numbered claims and links dependent claims to the
+// claims they refer to ("according to claim 1", "of any one of claims 2 to 4").
+//   parseClaims() -> [{ number, text, dependsOn: [1] }]
+//   buildClaimTree() -> [{ ...claim, children: [...] }], independent claims at the root
+import { htmlToText } from "./highlight.js";
+
+// "1. A method", "2) The device", "[3] Apparatus" at the start of a line
+const CLAIM_START = /^\s*(?:\[(\d+)\]|(\d+)\s*[.)])\s+/;
+
+// "claim 3", "claims 1 to 4", "claims 1-3 or 5", "claims 1, 2 and 7"
+const CLAIM_REFERENCE = /\bclaims?\s+(\d+(?:\s*(?:-|–|to|or|and|,)\s*\d+)*)/gi;
+
+// Ranges wider than this are treated as a typo rather than expanded
+const MAX_REFERENCE_RANGE = 200;
+
+function parseReferenceList(list) {
+  const numbers = [];
+  const pattern = /(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/g;
+  for (const match of list.matchAll(pattern)) {
+    const from = Number(match[1]);
+    const to = match[2] ? Number(match[2]) : from;
+    if (to >= from && to - from <= MAX_REFERENCE_RANGE) {
+      for (let n = from; n <= to; n++) numbers.push(n);
+    } else {
+      numbers.push(from);
+    }
+  }
+  return numbers;
+}
+
+// Earlier claims the text refers to; a claim can only depend on claims before it
+export function findClaimReferences(text, number) {
+  const numbers = [];
+  for (const match of String(text || '').matchAll(CLAIM_REFERENCE)) {
+    numbers.push(...parseReferenceList(match[1]));
+  }
+  return Array.from(new Set(numbers))
+    .filter(n => n < number)
+    .sort((a, b) => a - b);
+}
+
+function splitClaimTexts(claims) {
+  // One claim per entry when the API already splits them
+  if (Array.isArray(claims) && claims.length > 1) {
+    return claims.map(claim => htmlToText(claim)).filter(Boolean);
+  }
+
+  const texts = [];
+  htmlToText(claims).split('\n').forEach(line => {
+    const text = line.trim();
+    if (!text) return;
+    if (CLAIM_START.test(text) || !texts.length) {
+      texts.push(text);
+    } else {
+      // Claim bodies often run over several paragraphs
+      texts[texts.length - 1] += '\n' + text;
+    }
+  });
+  return texts;
+}
+
+export function parseClaims(claims) {
+  const parsed = [];
+  splitClaimTexts(claims).forEach(raw => {
+    const match = CLAIM_START.exec(raw);
+    const previous = parsed[parsed.length - 1];
+    const number = match ? Number(match[1] || match[2]) : (previous ? previous.number + 1 : 1);
+    const text = match ? raw.slice(match[0].length).trim() : raw;
+    parsed.push({ number, text, dependsOn: findClaimReferences(text, number) });
+  });
+  return parsed;
+}
+
+// Dependent claims nest under the first claim they refer to
+export function buildClaimTree(claims) {
+  const nodes = new Map();
+  const roots = [];
+  claims.forEach(claim => {
+    const node = { ...claim, children: [] };
+    const parent = claim.dependsOn.map(n => nodes.get(n)).find(Boolean);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    nodes.set(claim.number, node);
+  });
+  return roots;
+}
+
+export function isIndependentClaim(claim) {
+  return !claim.dependsOn.length;
+}
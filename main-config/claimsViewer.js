@@ -0,0 +1,127 @@
+// claimsViewer.js
+import { Logger } from "./logger.js";
+import { parseClaims, buildClaimTree, isIndependentClaim } from "./claimsParser.js";
+import { highlightText } from "./highlight.js";
+
+// Claims in the sidebar as a collapsible tree: independent claims at the top
+// level with their dependent claims nested inside. Every claim can be copied.
+export class ClaimsViewer {
+  render(root, claims, terms = null) {
+    root.innerHTML = '';
+    const parsed = parseClaims(claims);
+    if (!parsed.length) return;
+
+    const tree = buildClaimTree(parsed);
+    root.appendChild(this.createToolbar(root, parsed));
+
+    const list = document.createElement('div');
+    list.className = 'claims-tree';
+    tree.forEach(node => list.appendChild(this.createClaimNode(node, terms)));
+    root.appendChild(list);
+  }
+
+  createToolbar(root, claims) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'claims-tree_toolbar';
+
+    const independentCount = claims.filter(isIndependentClaim).length;
+    const summary = document.createElement('span');
+    summary.className = 'claims-tree_summary';
+    summary.textContent = `${claims.length} claims, ${independentCount} independent`;
+    toolbar.appendChild(summary);
+
+    [
+      ['Expand all', true],
+      ['Collapse all', false]
+    ].forEach(([label, open]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'claims-tree_action';
+      button.textContent = label;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        root.querySelectorAll('details.claims-tree_claim').forEach(details => {
+          details.open = open;
+        });
+      });
+      toolbar.appendChild(button);
+    });
+
+    const copyAll = this.createCopyButton(
+      () => claims.map(claim => `${claim.number}. ${claim.text}`).join('\n\n'),
+      'Copy all'
+    );
+    toolbar.appendChild(copyAll);
+    return toolbar;
+  }
+
+  createClaimNode(node, terms) {
+    const details = document.createElement('details');
+    details.className = 'claims-tree_claim';
+    details.classList.add(isIndependentClaim(node) ? 'is-independent' : 'is-dependent');
+    details.dataset.claimNumber = node.number;
+    // Independent claims start open; their dependents stay folded
+    details.open = isIndependentClaim(node);
+
+    const summary = document.createElement('summary');
+    summary.className = 'claims-tree_header';
+
+    const number = document.createElement('span');
+    number.className = 'claims-tree_number';
+    number.textContent = `Claim ${node.number}`;
+    summary.appendChild(number);
+
+    const type = document.createElement('span');
+    type.className = 'claims-tree_type';
+    type.textContent = isIndependentClaim(node)
+      ? 'Independent'
+      : `Depends on ${node.dependsOn.join(', ')}`;
+    summary.appendChild(type);
+
+    if (node.children.length) {
+      const count = document.createElement('span');
+      count.className = 'claims-tree_count';
+      count.textContent = `${node.children.length} dependent`;
+      summary.appendChild(count);
+    }
+
+    summary.appendChild(this.createCopyButton(() => `${node.number}. ${node.text}`, 'Copy'));
+    details.appendChild(summary);
+
+    const text = document.createElement('div');
+    text.className = 'claims-tree_text';
+    text.style.whiteSpace = 'pre-line';
+    highlightText(text, node.text, terms);
+    details.appendChild(text);
+
+    if (node.children.length) {
+      const children = document.createElement('div');
+      children.className = 'claims-tree_children';
+      node.children.forEach(child => children.appendChild(this.createClaimNode(child, terms)));
+      details.appendChild(children);
+    }
+
+    return details;
+  }
+
+  createCopyButton(getText, label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'claims-tree_copy';
+    button.textContent = label;
+    button.addEventListener('click', async e => {
+      // Don't toggle the <details> the button sits in
+      e.preventDefault();
+      e.stopPropagation();
+      try {
+        await navigator.clipboard.writeText(getText());
+        button.textContent = 'Copied';
+        setTimeout(() => { button.textContent = label; }, 1500);
+      } catch (error) {
+        Logger.error('Failed to copy claim:', error);
+        alert('Could not copy to the clipboard');
+      }
+    });
+    return button;
+  }
+}
@@ -0,0 +1,192 @@
+// commandPalette.js
+import { formatCombo } from "./keyboardShortcuts.js";
+
+const MAX_VISIBLE_COMMANDS = 50;
+
+// Ctrl+K overlay listing every app action. Commands come from getCommands(query)
+// as { id, group, title, run, shortcutId? }; shortcutId names one
+// KeyboardShortcuts entry, or a list of them, whose keys are shown next to the
+// command. Typing filters by words in the group and title.
+export class CommandPalette {
+  constructor(shortcuts, getCommands) {
+    this.shortcuts = shortcuts;
+    this.getCommands = getCommands;
+    this.root = null;
+    this.input = null;
+    this.list = null;
+    this.commands = [];
+    this.activeIndex = 0;
+    this.previousFocus = null;
+  }
+
+  isOpen() {
+    return !!this.root && this.root.style.display !== 'none';
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    if (!this.root) this.build();
+    this.previousFocus = document.activeElement;
+    this.root.style.display = '';
+    this.input.value = '';
+    this.update();
+    this.input.focus();
+  }
+
+  close() {
+    if (!this.root) return;
+    this.root.style.display = 'none';
+    if (this.previousFocus?.focus) this.previousFocus.focus();
+  }
+
+  build() {
+    this.root = document.createElement('div');
+    this.root.className = 'command-palette';
+    this.root.style.display = 'none';
+    this.root.addEventListener('click', e => {
+      if (e.target === this.root) this.close();
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'command-palette_dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', 'Command palette');
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.className = 'command-palette_input';
+    this.input.placeholder = 'Type a command, or a page number...';
+    this.input.setAttribute('aria-controls', 'command-palette-list');
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', e => this.handleKeydown(e));
+    dialog.appendChild(this.input);
+
+    this.list = document.createElement('ul');
+    this.list.id = 'command-palette-list';
+    this.list.className = 'command-palette_list';
+    this.list.setAttribute('role', 'listbox');
+    dialog.appendChild(this.list);
+
+    this.root.appendChild(dialog);
+    document.body.appendChild(this.root);
+  }
+
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.runCommand(this.commands[this.activeIndex]);
+        break;
+      case 'Escape':
+        // Stop the sidebar's Esc shortcut from firing as well
+        e.preventDefault();
+        e.stopPropagation();
+        this.close();
+        break;
+    }
+  }
+
+  matches(command, words) {
+    const text = `${command.group} ${command.title}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  }
+
+  update() {
+    const query = this.input.value.trim();
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    // Commands built from the query itself (e.g. "Go to page 12") always show
+    this.commands = this.getCommands(query)
+      .filter(command => command.fromQuery || this.matches(command, words))
+      .slice(0, MAX_VISIBLE_COMMANDS);
+    this.activeIndex = 0;
+    this.render();
+  }
+
+  render() {
+    this.list.innerHTML = '';
+
+    if (!this.commands.length) {
+      const empty = document.createElement('li');
+      empty.className = 'command-palette_empty';
+      empty.textContent = 'No matching commands';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.commands.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.className = 'command-palette_item';
+      item.setAttribute('role', 'option');
+      item.classList.toggle('is-active', index === this.activeIndex);
+
+      const group = document.createElement('span');
+      group.className = 'command-palette_group';
+      group.textContent = command.group;
+      item.appendChild(group);
+
+      const title = document.createElement('span');
+      title.className = 'command-palette_title';
+      title.textContent = command.title;
+      item.appendChild(title);
+
+      const combos = this.getShortcutCombos(command);
+      if (combos.length) {
+        const shortcut = document.createElement('span');
+        shortcut.className = 'command-palette_shortcut';
+        combos.forEach(combo => {
+          const key = document.createElement('kbd');
+          key.textContent = formatCombo(combo);
+          shortcut.appendChild(key);
+        });
+        item.appendChild(shortcut);
+      }
+
+      item.addEventListener('mousemove', () => {
+        if (this.activeIndex !== index) this.setActive(index);
+      });
+      item.addEventListener('click', e => {
+        e.preventDefault();
+        this.runCommand(command);
+      });
+      this.list.appendChild(item);
+    });
+  }
+
+  getShortcutCombos(command) {
+    if (!command.shortcutId) return [];
+    const ids = Array.isArray(command.shortcutId) ? command.shortcutId : [command.shortcutId];
+    const shortcuts = this.shortcuts.list();
+    return ids.flatMap(id => shortcuts.find(shortcut => shortcut.id === id)?.combos || []);
+  }
+
+  setActive(index) {
+    if (!this.commands.length) return;
+    this.activeIndex = (index + this.commands.length) % this.commands.length;
+    Array.from(this.list.children).forEach((item, i) => {
+      item.classList.toggle('is-active', i === this.activeIndex);
+    });
+    this.list.children[this.activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }
+
+  runCommand(command) {
+    if (!command) return;
+    // Close first so focus is back on the page before the command runs
+    this.close();
+    command.run();
+  }
+}
@@ -0,0 +1,115 @@
+// conceptBlocks.js
+// Concept blocks stored in the "keywords-concepts" filter. Each block is one
+// inventive element: its keywords are synonyms (ORed) and blocks are ANDed.
+//   [{ id, name, keywords: ['sensor', 'detector'] }, ...]
+// All helpers return a new array and never mutate the one passed in.
+import { createGroup, createTerm, serializeBooleanQuery } from "./booleanQuery.js";
+
+function generateBlockId() {
+  return 'cb-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+function uniqueKeywords(keywords) {
+  return Array.from(new Set(
+    (Array.isArray(keywords) ? keywords : [])
+      .map(keyword => String(keyword || '').trim())
+      .filter(Boolean)
+  ));
+}
+
+function currentBlocks(blocks) {
+  return Array.isArray(blocks) ? blocks : [];
+}
+
+export function createConceptBlock(name, keywords = []) {
+  return {
+    id: generateBlockId(),
+    name: String(name || '').trim(),
+    keywords: uniqueKeywords(keywords)
+  };
+}
+
+// Turn API output ({ name, keywords } objects) into blocks with ids and names
+export function normalizeConceptBlocks(rawBlocks, existingCount = 0) {
+  return (Array.isArray(rawBlocks) ? rawBlocks : [])
+    .map(block => createConceptBlock(block?.name, block?.keywords))
+    .filter(block => block.keywords.length > 0)
+    .map((block, index) => ({
+      ...block,
+      name: block.name || `Concept ${existingCount + index + 1}`
+    }));
+}
+
+export function addConceptBlock(blocks, name) {
+  const current = currentBlocks(blocks);
+  return [...current, createConceptBlock(name || `Concept ${current.length + 1}`)];
+}
+
+export function removeConceptBlock(blocks, blockId) {
+  return currentBlocks(blocks).filter(block => block.id !== blockId);
+}
+
+export function renameConceptBlock(blocks, blockId, name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return currentBlocks(blocks);
+  return currentBlocks(blocks).map(block =>
+    block.id === blockId ? { ...block, name: trimmed } : block
+  );
+}
+
+// The merged block takes the place of the first selected block
+export function mergeConceptBlocks(blocks, blockIds, name = null) {
+  const current = currentBlocks(blocks);
+  const selected = current.filter(block => blockIds.includes(block.id));
+  if (selected.length < 2) return current;
+
+  const merged = createConceptBlock(
+    name || selected.map(block => block.name).join(' / '),
+    selected.flatMap(block => block.keywords)
+  );
+
+  const result = [];
+  current.forEach(block => {
+    if (block.id === selected[0].id) {
+      result.push(merged);
+    } else if (!blockIds.includes(block.id)) {
+      result.push(block);
+    }
+  });
+  return result;
+}
+
+export function addKeywordToBlock(blocks, blockId, keyword) {
+  return addKeywordsToBlock(blocks, blockId, [keyword]);
+}
+
+export function addKeywordsToBlock(blocks, blockId, keywords) {
+  return currentBlocks(blocks).map(block =>
+    block.id === blockId
+      ? { ...block, keywords: uniqueKeywords([...block.keywords, ...keywords]) }
+      : block
+  );
+}
+
+export function removeKeywordFromBlock(blocks, blockId, keyword) {
+  return currentBlocks(blocks).map(block =>
+    block.id === blockId
+      ? { ...block, keywords: block.keywords.filter(k => k !== keyword) }
+      : block
+  );
+}
+
+export function flattenConceptKeywords(blocks) {
+  return uniqueKeywords(currentBlocks(blocks).flatMap(block => block.keywords));
+}
+
+// Serialized boolean query: (a OR b) AND (c OR d) ...
+export function conceptBlocksToQuery(blocks) {
+  const root = createGroup('AND');
+  currentBlocks(blocks).forEach(block => {
+    const group = createGroup('OR');
+    group.children = block.keywords.map(keyword => createTerm(keyword));
+    root.children.push(group);
+  });
+  return serializeBooleanQuery(root);
+}
@@ -9,32 +9,80 @@ export const EventTypes = {
   LOAD_SESSION: "session:load",             // New event type for loading a session
   PATENT_SEARCH_INITIATED: "patent:search:initiated",
   PATENT_INFO_RECEIVED: "patent:info:received",
+  SEARCH_SIMILAR_REQUESTED: "search:similar:requested",
+  SEARCH_SIMILAR_CONFIRMED: "search:similar:confirmed",
   KEYWORDS_STEP_ADDED: "keywords:step:added",
   KEYWORDS_GENERATE_INITIATED: "keywords:generate:initiated",
   KEYWORDS_GENERATE_COMPLETED: "keywords:generate:completed",
   KEYWORDS_ADDITIONAL_GENERATE_INITIATED: "keywords:additional:generate:initiated",
+  KEYWORDS_EXCLUDE_SUGGESTED: "keywords:exclude:suggested",
   KEYWORD_ADDED: "keyword:added",
   KEYWORD_REMOVED: "keyword:removed",
   KEYWORD_EXCLUDED_ADDED: "keyword:excluded:added",
   KEYWORD_EXCLUDED_REMOVED: "keyword:excluded:removed",
+  BOOLEAN_NODE_ADDED: "keywords:boolean:node:added",
+  BOOLEAN_NODE_REMOVED: "keywords:boolean:node:removed",
+  BOOLEAN_NODE_UPDATED: "keywords:boolean:node:updated",
+  CONCEPT_BLOCK_ADDED: "concepts:block:added",
+  CONCEPT_BLOCK_REMOVED: "concepts:block:removed",
+  CONCEPT_BLOCK_RENAMED: "concepts:block:renamed",
+  CONCEPT_BLOCKS_MERGED: "concepts:blocks:merged",
+  CONCEPT_KEYWORD_ADDED: "concepts:keyword:added",
+  CONCEPT_KEYWORD_REMOVED: "concepts:keyword:removed",
+  QUERY_TEXT_SUBMITTED: "query:text:submitted",
+  QUERY_TEXT_APPLIED: "query:text:applied",
+  QUERY_TEXT_INVALID: "query:text:invalid",
   CODE_ADDED: "codes:added",
   CODE_REMOVED: "codes:removed",
   INVENTOR_ADDED: "inventors:added",
   INVENTOR_REMOVED: "inventors:removed",
+  ASSIGNEE_ADDED: "assignees:added",
+  ASSIGNEE_REMOVED: "assignees:removed",
   SEARCH_INITIATED: "search:initiated",
   SEARCH_COMPLETED: "search:completed",
   SEARCH_FAILED: "search:failed",
   SEARCH_PAGE_NEXT: "search:page:next",
   SEARCH_PAGE_PREV: "search:page:prev",
+  SEARCH_PAGE_LOADED: "search:page:loaded",
+  SEARCH_PAGE_GOTO: "search:page:goto",
+  SEARCH_PAGE_SIZE_CHANGED: "search:page:size:changed",
+  SEARCH_SORT_CHANGED: "search:sort:changed",
+  SEARCH_FAMILY_GROUPING_TOGGLED: "search:family:grouping:toggled",
+  SEARCH_ALL_RESULTS_REQUESTED: "search:all:results:requested",
+  SEARCH_REFINED: "search:refined",
+  SEARCH_RUN_RESTORED: "search:run:restored",
+  SEARCH_RUNS_COMPARED: "search:runs:compared",
+  SEARCH_RUN_DIFF_COMPLETED: "search:run:diff:completed",
+  SEARCH_RUN_DIFF_FAILED: "search:run:diff:failed",
   SEARCH_ITEM_SELECTED: "search:item:selected",
   SEARCH_ITEM_DESELECTED: "search:item:deselected",
+  SEARCH_ITEM_NEXT: "search:item:next",
+  SEARCH_ITEM_PREV: "search:item:prev",
+  RESULT_STAR_TOGGLED: "result:star:toggled",
+  RESULT_TAG_TOGGLED: "result:tag:toggled",
+  RESULT_NOTE_UPDATED: "result:note:updated",
+  RESULT_SELECTION_TOGGLED: "result:selection:toggled",
+  RESULT_SELECTION_CLEARED: "result:selection:cleared",
+  RESULT_SELECTION_SET: "result:selection:set",
+  RESULT_SELECTION_ALL_REQUESTED: "result:selection:all:requested",
+  RESULTS_BULK_TAGGED: "results:bulk:tagged",
+  RESULTS_BULK_EXCLUDED: "results:bulk:excluded",
+  PUBLICATION_EXCLUDED: "publication:excluded",
+  PUBLICATION_EXCLUSION_REMOVED: "publication:exclusion:removed",
+  RESULTS_COLLECTION_ADDED: "results:collection:added",
+  COLLECTION_REMOVED: "collection:removed",
+  RESULTS_EXPORT_REQUESTED: "results:export:requested",
+  REPORT_REQUESTED: "report:requested",
   VALUE_TYPE_UPDATED: "value:type:updated", // New event type for value type changes
   STATE_UPDATED: "state:updated",           // If you use a state update event elsewhere
   SESSION_CREATED: "session:created",
   SESSION_SAVED: "session:saved",
   SESSION_LOADED: "session:loaded",
   SESSION_SAVE_FAILED: "session:save:failed",
-  SESSION_LOAD_FAILED: "session:load:failed"
+  SESSION_NEW_REQUESTED: "session:new:requested",
+  SESSION_OPEN_REQUESTED: "session:open:requested",
+  HISTORY_UNDO: "history:undo",
+  HISTORY_REDO: "history:redo"
 };
 
 export const INIT_EVENTS = {
@@ -15,6 +15,8 @@ export class FilterSetup {
     this.setupInventorsUI();
     this.setupAssigneesUI();
     this.setupDateUI();
+    this.setupExcludedPublicationsUI();
+    this.setupQueryTextUI();
     this.setupFilterEventHandlers();
   }
 
@@ -24,6 +26,34 @@ export class FilterSetup {
     this.setupKeywordInput();
     this.setupClearKeywordsButton();
     this.setupNewGenButton();
+    this.setupConceptBlockButtons();
+  }
+
+  setupConceptBlockButtons() {
+    const addBlockBtn = document.querySelector("#add-concept-block");
+    if (addBlockBtn) {
+      addBlockBtn.addEventListener("click", e => {
+        e.preventDefault();
+        const nameInput = document.querySelector("#concept-block-name");
+        this.eventBus.emit(EventTypes.CONCEPT_BLOCK_ADDED, { name: nameInput?.value.trim() || null });
+        if (nameInput) nameInput.value = "";
+      });
+    }
+
+    const mergeBtn = document.querySelector("#merge-concept-blocks");
+    if (mergeBtn) {
+      mergeBtn.addEventListener("click", e => {
+        e.preventDefault();
+        const blockIds = Array.from(document.querySelectorAll('[data-concept-block="select"]:checked'))
+          .map(checkbox => checkbox.closest('[data-concept-block-id]')?.getAttribute('data-concept-block-id'))
+          .filter(Boolean);
+        if (blockIds.length < 2) {
+          alert("Select at least two concept blocks to merge");
+          return;
+        }
+        this.eventBus.emit(EventTypes.CONCEPT_BLOCKS_MERGED, { blockIds });
+      });
+    }
   }
 
   setupFilterEventHandlers() {
@@ -107,6 +137,34 @@ export class FilterSetup {
     this.setupExcludedKeywordInput(input);
     this.setupExcludedKeywordButton(addButton);
     this.setupClearExcludedKeywordsButton();
+    this.setupExcludeSuggestions();
+  }
+
+  // Exclude keywords suggested from results marked not relevant; one click adds one
+  setupExcludeSuggestions() {
+    const wrapper = document.querySelector("#suggested-exclude-keywords");
+    if (!wrapper) return;
+    wrapper.style.display = "none";
+
+    this.eventBus.on(EventTypes.KEYWORDS_EXCLUDE_SUGGESTED, ({ keywords }) => {
+      wrapper.innerHTML = "";
+      wrapper.style.display = keywords.length ? "" : "none";
+
+      keywords.forEach(keyword => {
+        const chip = document.createElement("button");
+        chip.type = "button";
+        chip.className = "suggested-exclude_keyword";
+        chip.textContent = `+ ${keyword}`;
+        chip.title = `Exclude "${keyword}"`;
+        chip.addEventListener("click", e => {
+          e.preventDefault();
+          this.eventBus.emit(EventTypes.KEYWORD_EXCLUDED_ADDED, { keyword });
+          chip.remove();
+          if (!wrapper.children.length) wrapper.style.display = "none";
+        });
+        wrapper.appendChild(chip);
+      });
+    });
   }
 
   setupExcludedKeywordInput(input) {
@@ -187,6 +245,17 @@ export class FilterSetup {
     }
   }
 
+  // Excluded publications are added from the results, so there's only a clear button
+  setupExcludedPublicationsUI() {
+    const clearBtn = document.querySelector("#clear-excluded-publications");
+    if (clearBtn) {
+      clearBtn.addEventListener("click", e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.PUBLICATION_EXCLUSION_REMOVED, { clearAll: true });
+      });
+    }
+  }
+
   // Inventors setup
   setupInventorsUI() {
     this.setupInventorAddButton();
@@ -303,6 +372,56 @@ export class FilterSetup {
     }
   }
 
+  // Text query setup
+  setupQueryTextUI() {
+    const input = document.querySelector("#query-text-input");
+    const applyButton = document.querySelector("#query-text-apply");
+    const errorBox = document.querySelector("#query-text-error");
+
+    const submit = () => {
+      if (input) {
+        this.eventBus.emit(EventTypes.QUERY_TEXT_SUBMITTED, { text: input.value });
+      }
+    };
+
+    if (input) {
+      // Enter applies in a single-line input, Ctrl/Cmd+Enter in a textarea
+      input.addEventListener("keydown", e => {
+        if (e.key === "Enter" && (input.tagName !== "TEXTAREA" || e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          submit();
+        }
+      });
+    }
+
+    if (applyButton) {
+      applyButton.addEventListener("click", e => {
+        e.preventDefault();
+        submit();
+      });
+    }
+
+    if (errorBox) errorBox.style.display = "none";
+
+    this.eventBus.on(EventTypes.QUERY_TEXT_INVALID, ({ errors }) => {
+      if (errorBox) {
+        errorBox.textContent = errors
+          .map(error => `Position ${error.start + 1}-${error.end}: ${error.message}`)
+          .join("\n");
+        errorBox.style.display = "";
+      }
+      // Select the first problem so it can be fixed in place
+      if (input && errors.length) {
+        input.focus();
+        input.setSelectionRange(errors[0].start, errors[0].end);
+      }
+    });
+
+    this.eventBus.on(EventTypes.QUERY_TEXT_APPLIED, () => {
+      if (errorBox) errorBox.style.display = "none";
+    });
+  }
+
   // Initialize filters from saved state
   initializeFilters(filters) {
     filters.forEach(filter => {
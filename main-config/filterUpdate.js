@@ -1,6 +1,8 @@
 // filterUpdate.js
 import { Logger } from "./logger.js";
 import { EventTypes } from "./eventTypes.js";
+import { serializeFilters } from "./queryLanguage.js";
+import { EXCLUDE_FILTER, getExcludedPublications } from "./publicationExclusions.js";
 
 export class FilterUpdate {
   constructor(eventBus) {
@@ -56,11 +58,14 @@ export class FilterUpdate {
     // Then update other displays
     this.updateFilterStepsDisplay(state);
     this.updateKeywordsDisplay(state);
+    this.updateConceptBlocksDisplay(state);
     this.updateExcludedKeywordsDisplay(state);
     this.updateCodesDisplay(state);
     this.updateInventorsDisplay(state);
     this.updateAssigneesDisplay(state);
     this.updateDateDisplay(state);
+    this.updateExcludedPublicationsDisplay(state);
+    this.updateQueryTextDisplay(state);
     this.updateFilterOptionButtons(state);
   }
 
@@ -93,7 +98,7 @@ export class FilterUpdate {
     });
   }
 
-  createBadge(template, item, formatFn, removeEventType) {
+  createBadge(template, item, formatFn, removeEventType, removePayload = {}) {
     const newBadge = template.cloneNode(true);
     newBadge.style.display = '';
     
@@ -110,7 +115,7 @@ export class FilterUpdate {
       newRemoveIcon.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        this.eventBus.emit(removeEventType, { item });
+        this.eventBus.emit(removeEventType, { item, ...removePayload });
       });
     }
 
@@ -131,6 +136,95 @@ export class FilterUpdate {
     if (clearBtn) clearBtn.style.display = items.length > 0 ? "" : "none";
   }
 
+  // Concept blocks: one cloned block per concept, each with its own badge group
+  updateConceptBlocksDisplay(state) {
+    const wrapper = document.querySelector('[data-concept-blocks="wrapper"]');
+    if (!wrapper) return;
+
+    const template = wrapper.firstElementChild;
+    if (!template) {
+      Logger.error('No concept block template found');
+      return;
+    }
+
+    template.style.display = 'none';
+    Array.from(wrapper.children)
+      .slice(1)
+      .forEach(block => block.remove());
+
+    const filter = state.filters.find(f => f.name === "keywords-concepts");
+    const blocks = Array.isArray(filter?.value) ? filter.value : [];
+
+    blocks.forEach(block => {
+      wrapper.appendChild(this.createConceptBlock(template, block));
+    });
+
+    const mergeBtn = document.querySelector("#merge-concept-blocks");
+    if (mergeBtn) mergeBtn.style.display = blocks.length > 1 ? "" : "none";
+  }
+
+  createConceptBlock(template, block) {
+    const blockEl = template.cloneNode(true);
+    blockEl.style.display = '';
+    blockEl.setAttribute('data-concept-block-id', block.id);
+
+    const nameInput = blockEl.querySelector('[data-concept-block="name"]');
+    if (nameInput) {
+      nameInput.value = block.name;
+      nameInput.addEventListener('change', () => {
+        if (nameInput.value.trim() && nameInput.value.trim() !== block.name) {
+          this.eventBus.emit(EventTypes.CONCEPT_BLOCK_RENAMED, { blockId: block.id, name: nameInput.value });
+        }
+      });
+    }
+
+    const removeBtn = blockEl.querySelector('[data-concept-block="remove"]');
+    if (removeBtn) {
+      removeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.CONCEPT_BLOCK_REMOVED, { blockId: block.id });
+      });
+    }
+
+    const generateBtn = blockEl.querySelector('[data-concept-block="generate"]');
+    if (generateBtn) {
+      generateBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.KEYWORDS_ADDITIONAL_GENERATE_INITIATED, { blockId: block.id });
+      });
+    }
+
+    const keywordInput = blockEl.querySelector('[data-concept-block="keyword-input"]');
+    if (keywordInput) {
+      keywordInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter' && keywordInput.value.trim().length >= 2) {
+          e.preventDefault();
+          this.eventBus.emit(EventTypes.CONCEPT_KEYWORD_ADDED, {
+            blockId: block.id,
+            keyword: keywordInput.value.trim()
+          });
+          keywordInput.value = '';
+        }
+      });
+    }
+
+    const badgeWrapper = blockEl.querySelector('.badge-wrapper');
+    const badgeTemplate = badgeWrapper?.firstElementChild;
+    if (badgeTemplate) {
+      badgeTemplate.style.display = 'none';
+      Array.from(badgeWrapper.children)
+        .slice(1)
+        .forEach(badge => badge.remove());
+      block.keywords.forEach(keyword => {
+        badgeWrapper.appendChild(
+          this.createBadge(badgeTemplate, keyword, item => item, EventTypes.CONCEPT_KEYWORD_REMOVED, { blockId: block.id })
+        );
+      });
+    }
+
+    return blockEl;
+  }
+
   updateExcludedKeywordsDisplay(state) {
     const filter = state.filters.find(f => f.name === "keywords-exclude");
     const items = Array.isArray(filter?.value) ? filter.value : [];
@@ -157,6 +251,18 @@ export class FilterUpdate {
     if (clearBtn) clearBtn.style.display = items.length > 0 ? "" : "none";
   }
 
+  updateExcludedPublicationsDisplay(state) {
+    const items = getExcludedPublications(state.filters);
+    this.updateBadgeDisplayForItems(
+      items,
+      `.badge-wrapper.${EXCLUDE_FILTER}`,
+      entry => entry.title ? `${entry.publication_number} — ${entry.title}` : entry.publication_number,
+      EventTypes.PUBLICATION_EXCLUSION_REMOVED
+    );
+    const clearBtn = document.querySelector("#clear-excluded-publications");
+    if (clearBtn) clearBtn.style.display = items.length > 0 ? "" : "none";
+  }
+
   updateInventorsDisplay(state) {
     const filter = state.filters.find(f => f.name === "inventor");
     const items = Array.isArray(filter?.value) ? filter.value : [];
@@ -200,6 +306,13 @@ export class FilterUpdate {
       if (clearBtn) clearBtn.style.display = "none";
     }
   }
+  // Keep the text query in sync with the filters, unless the user is typing in it
+  updateQueryTextDisplay(state) {
+    const input = document.querySelector("#query-text-input");
+    if (!input || document.activeElement === input) return;
+    input.value = serializeFilters(state.filters);
+  }
+
   // Handle filter step visibility and ordering
   updateFilterStepsDisplay(state) {
     const container = document.querySelector('.step-small-container');
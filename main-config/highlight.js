@@ -0,0 +1,140 @@
+// highlight.js
+// Marks search terms in result text. Matches are built as text nodes and
+// <mark> elements, never as an HTML string, so API data is only ever set
+// through textContent. Excluded terms that still show up get a warning style.
+import { collectTerms } from "./booleanQuery.js";
+import { flattenConceptKeywords } from "./conceptBlocks.js";
+import { significantWords } from "./relevanceFeedback.js";
+
+const HIGHLIGHT_CLASS = 'keyword-highlight';
+const EXCLUDED_CLASS = 'is-excluded';
+
+// Block-level tags that become line breaks when HTML is flattened to text
+const BLOCK_TAGS = 'p, div, br, li, tr, h1, h2, h3, h4, h5, h6, claim, claim-text';
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v || '').trim()).filter(Boolean);
+  return value ? [String(value).trim()] : [];
+}
+
+function uniqueTerms(terms) {
+  const seen = new Set();
+  return terms.filter(term => {
+    const key = term.toLowerCase();
+    if (!term || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Terms to mark for a set of filters and the search method:
+ *   { include: ['sensor', ...], exclude: ['medical', ...] }
+ * Include keywords, concept block keywords, boolean query terms and the
+ * content words of a descriptive search's text are included; exclude keywords
+ * and negated boolean terms are excluded.
+ */
+export function getHighlightTerms(filters, method = null) {
+  const include = [];
+  const exclude = [];
+
+  (filters || []).forEach(filter => {
+    switch (filter.name) {
+      case 'keywords-include':
+        include.push(...toList(filter.value));
+        break;
+      case 'keywords-concepts':
+        include.push(...flattenConceptKeywords(filter.value));
+        break;
+      case 'keywords-boolean': {
+        const terms = collectTerms(filter.value);
+        include.push(...terms.include);
+        exclude.push(...terms.exclude);
+        break;
+      }
+      case 'keywords-exclude':
+        exclude.push(...toList(filter.value));
+        break;
+    }
+  });
+
+  // Explicit include keywords win over exclude keywords; words that only come
+  // from the description don't
+  const includedKeys = new Set(include.map(term => term.toLowerCase()));
+  const excluded = uniqueTerms(exclude).filter(term => !includedKeys.has(term.toLowerCase()));
+  const excludedKeys = new Set(excluded.map(term => term.toLowerCase()));
+  const described = method?.selected === 'descriptive'
+    ? significantWords(method.description?.value).filter(word => !excludedKeys.has(word))
+    : [];
+  return {
+    include: uniqueTerms([...include, ...described]),
+    exclude: excluded
+  };
+}
+
+// Claims and descriptions can hold markup; parse it inertly and keep the text
+export function htmlToText(html) {
+  const source = Array.isArray(html) ? html.join('\n') : String(html || '');
+  if (!/[<&]/.test(source)) return source;
+
+  const doc = new DOMParser().parseFromString(source, 'text/html');
+  doc.body.querySelectorAll(BLOCK_TAGS).forEach(el => el.after(doc.createTextNode('\n')));
+  return doc.body.textContent.replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A trailing * in a keyword matches any word ending, as in the query syntax
+function termPattern(term) {
+  return escapeRegExp(term.replace(/\*+$/, ''))
+    .replace(/\s+/g, '\\s+') + (term.endsWith('*') ? '[\\p{L}\\p{N}]*' : '');
+}
+
+function buildPattern(terms) {
+  const all = [...terms.include, ...terms.exclude]
+    .filter(term => term.replace(/\*/g, '').trim())
+    .sort((a, b) => b.length - a.length);
+  if (!all.length) return null;
+  // Match at word starts only, so "ion" doesn't light up every "-tion"
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${all.map(termPattern).join('|')})`, 'giu');
+}
+
+function isExcludedMatch(match, terms) {
+  const text = match.toLowerCase().replace(/\s+/g, ' ');
+  return terms.exclude.some(term => {
+    const key = term.toLowerCase().replace(/\s+/g, ' ');
+    return term.endsWith('*') ? text.startsWith(key.replace(/\*+$/, '')) : text === key;
+  });
+}
+
+/**
+ * Replaces el's content with text, wrapping every term match in
+ * <mark class="keyword-highlight"> (plus "is-excluded" for exclude terms).
+ */
+export function highlightText(el, text, terms) {
+  const value = String(text ?? '');
+  const pattern = terms ? buildPattern(terms) : null;
+  el.textContent = '';
+  if (!pattern) {
+    el.textContent = value;
+    return;
+  }
+
+  let lastIndex = 0;
+  for (const match of value.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      el.appendChild(document.createTextNode(value.slice(lastIndex, match.index)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = HIGHLIGHT_CLASS;
+    if (isExcludedMatch(match[0], terms)) mark.classList.add(EXCLUDED_CLASS);
+    mark.textContent = match[0];
+    el.appendChild(mark);
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < value.length) {
+    el.appendChild(document.createTextNode(value.slice(lastIndex)));
+  }
+}
@@ -0,0 +1,91 @@
+// keyboardShortcuts.js
+// One keydown listener for the whole app. Shortcuts are registered with a
+// combo string such as "j", "escape", "mod+z" or "mod+shift+z", where mod is
+// Ctrl, or Cmd on macOS. Typing in text fields never triggers a shortcut
+// unless it is registered with allowInInputs.
+
+const TEXT_FIELDS = "input, textarea, select, [contenteditable='true']";
+
+function parseCombo(combo) {
+  const parts = combo.toLowerCase().split('+').map(part => part.trim());
+  return {
+    key: parts[parts.length - 1],
+    mod: parts.includes('mod'),
+    shift: parts.includes('shift'),
+    alt: parts.includes('alt')
+  };
+}
+
+function matchesCombo(parsed, e) {
+  return e.key.toLowerCase() === parsed.key
+    && (e.ctrlKey || e.metaKey) === parsed.mod
+    && e.shiftKey === parsed.shift
+    && e.altKey === parsed.alt;
+}
+
+// "mod+shift+z" -> "Ctrl+Shift+Z"
+export function formatCombo(combo) {
+  const isMac = /mac/i.test(navigator.platform || '');
+  return combo.split('+').map(part => {
+    switch (part) {
+      case 'mod': return isMac ? '⌘' : 'Ctrl';
+      case 'shift': return 'Shift';
+      case 'alt': return isMac ? '⌥' : 'Alt';
+      case 'arrowdown': return '↓';
+      case 'arrowup': return '↑';
+      case 'escape': return 'Esc';
+      default: return part.length === 1 ? part.toUpperCase() : part;
+    }
+  }).join('+');
+}
+
+export class KeyboardShortcuts {
+  constructor() {
+    this.shortcuts = [];
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  attach(target = document) {
+    target.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * id: unique name, also used by the command palette
+   * combos: one combo or a list of alternatives, e.g. ['j', 'arrowdown']
+   * when: optional predicate; the key is left to the browser when it fails
+   */
+  register({ id, combos, description, handler, when = null, allowInInputs = false }) {
+    const list = Array.isArray(combos) ? combos : [combos];
+    this.shortcuts = this.shortcuts.filter(shortcut => shortcut.id !== id);
+    this.shortcuts.push({
+      id,
+      combos: list,
+      parsed: list.map(parseCombo),
+      description,
+      handler,
+      when,
+      allowInInputs
+    });
+  }
+
+  list() {
+    return this.shortcuts.map(({ id, combos, description, handler, when }) => ({
+      id, combos, description, handler, when
+    }));
+  }
+
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+    const inTextField = !!e.target?.closest?.(TEXT_FIELDS);
+
+    const shortcut = this.shortcuts.find(candidate =>
+      candidate.parsed.some(parsed => matchesCombo(parsed, e))
+      && (candidate.allowInInputs || !inTextField)
+      && (!candidate.when || candidate.when())
+    );
+    if (!shortcut) return;
+
+    e.preventDefault();
+    shortcut.handler(e);
+  }
+}
@@ -0,0 +1,53 @@
+// publicationExclusions.js
+// Publications dismissed during review, kept in the "publication-exclude"
+// filter as [{ publication_number, title }]. The numbers go to the search
+// endpoint as excludePublications; results are also filtered here so the
+// exclusion holds even where the backend ignores that field. Kind codes are
+// ignored, so excluding EP1234567A1 also drops EP1234567B1.
+import { normalizePublicationNumber } from "./resultFamilies.js";
+
+export const EXCLUDE_FILTER = 'publication-exclude';
+
+export function getExcludedPublications(filters) {
+  const filter = (filters || []).find(f => f.name === EXCLUDE_FILTER);
+  return Array.isArray(filter?.value) ? filter.value : [];
+}
+
+// Returns new filters with the items added, creating the filter if needed
+export function addExclusions(filters, items) {
+  const current = filters || [];
+  const excluded = getExcludedPublications(current);
+  const known = new Set(excluded.map(entry => normalizePublicationNumber(entry.publication_number)));
+  const added = [];
+  (items || []).forEach(item => {
+    const key = normalizePublicationNumber(item?.publication_number);
+    if (!key || known.has(key)) return;
+    known.add(key);
+    added.push({ publication_number: item.publication_number, title: item.title || '' });
+  });
+  if (!added.length) return current;
+
+  if (!current.some(f => f.name === EXCLUDE_FILTER)) {
+    const order = current.reduce((max, f) => Math.max(max, f.order ?? -1), -1) + 1;
+    return [...current, { name: EXCLUDE_FILTER, order, value: added }];
+  }
+  return current.map(f => (f.name === EXCLUDE_FILTER ? { ...f, value: [...excluded, ...added] } : f));
+}
+
+// Removing the last exclusion drops the filter
+export function removeExclusion(filters, publicationNumber) {
+  const key = normalizePublicationNumber(publicationNumber);
+  return (filters || []).flatMap(f => {
+    if (f.name !== EXCLUDE_FILTER) return [f];
+    const value = getExcludedPublications([f])
+      .filter(entry => normalizePublicationNumber(entry.publication_number) !== key);
+    return value.length ? [{ ...f, value }] : [];
+  });
+}
+
+// numbers: publication numbers as sent in searchInput.filters.excludePublications
+export function applyExclusions(results, numbers) {
+  if (!numbers?.length) return results;
+  const excluded = new Set(numbers.map(normalizePublicationNumber));
+  return results.filter(item => !excluded.has(normalizePublicationNumber(item.publication_number)));
+}
@@ -0,0 +1,308 @@
+// queryLanguage.js
+// Text form of the standard filters, e.g.
+//   kw:"heat exchanger" -kw:automotive cpc:F28D* assignee:"Siemens" priority:2015..2020
+//   inventor:"van Berg, Jan" concept:Cooling(fin OR "heat sink") bool:(pump AND NOT oil)
+//
+// parseQueryText() turns text into filter values and reports every syntax error
+// with its character range; serializeFilters() writes state.filters back out.
+// Words without a field are treated as include keywords. Quoted values escape
+// " and \ with a backslash. Inventors are written "Last, First"; a two-word
+// name without a comma is read as "First Last".
+import { createConceptBlock } from "./conceptBlocks.js";
+import { parseQueryString, quoteTerm, readQuoted, toQueryString } from "./booleanQuery.js";
+
+const KEYWORD_FIELDS = ['kw', 'keyword'];
+const CODE_FIELDS = ['cpc', 'code'];
+const DATE_FIELDS = ['priority', 'filing', 'publication', 'grant'];
+// Fields followed by a parenthesised group: concept:Name(a OR b), bool:(...)
+const GROUP_FIELDS = ['concept', 'bool'];
+const FIELDS = [...KEYWORD_FIELDS, ...CODE_FIELDS, 'assignee', 'inventor', ...DATE_FIELDS, ...GROUP_FIELDS];
+
+// Filters this syntax covers; applying text replaces exactly these
+export const QUERY_TEXT_FILTERS = [
+  'keywords-include',
+  'keywords-exclude',
+  'keywords-concepts',
+  'keywords-boolean',
+  'code',
+  'assignee',
+  'inventor',
+  'date'
+];
+
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+function tokenize(text, errors) {
+  const clauses = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let negate = false;
+    if (text[i] === '-') {
+      negate = true;
+      i++;
+    }
+
+    // Field name, if the clause has one
+    let field = null;
+    let fieldStart = i;
+    const fieldMatch = /^([a-zA-Z]+):/.exec(text.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      i += fieldMatch[0].length;
+    }
+
+    // Value: quoted or bare. A bare value before a group ends at the "("
+    const isGroupField = GROUP_FIELDS.includes(field);
+    let value = '';
+    const valueStart = i;
+    if (text[i] === '"') {
+      const quoted = readQuoted(text, i);
+      if (!quoted.closed) errors.push({ message: 'Unterminated quote', start: i, end: text.length });
+      value = quoted.value;
+      i = quoted.end;
+    } else {
+      while (i < text.length && !/\s/.test(text[i]) && !(isGroupField && text[i] === '(')) i++;
+      value = text.slice(valueStart, i);
+    }
+
+    let group = null;
+    const groupStart = i;
+    if (isGroupField && text[i] === '(') {
+      const end = findGroupEnd(text, i);
+      if (end === -1) {
+        errors.push({ message: 'Missing ")"', start: i, end: text.length });
+        group = text.slice(i + 1);
+        i = text.length;
+      } else {
+        group = text.slice(i + 1, end);
+        i = end + 1;
+      }
+    }
+
+    clauses.push({ negate, field, fieldStart, value: value.trim(), valueStart, group, groupStart, start, end: i });
+  }
+
+  return clauses;
+}
+
+// Index of the ")" closing the "(" at start, skipping quoted text; -1 if none
+function findGroupEnd(text, start) {
+  let depth = 0;
+  let i = start;
+  while (i < text.length) {
+    if (text[i] === '"') {
+      i = readQuoted(text, i).end;
+      continue;
+    }
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0) return i;
+    i++;
+  }
+  return -1;
+}
+
+// Group contents are parsed on their own; move their errors to text offsets
+function parseGroup(clause, errors) {
+  const { tree, errors: groupErrors } = parseQueryString(clause.group);
+  groupErrors.forEach(error => errors.push({
+    ...error,
+    start: error.start + clause.groupStart + 1,
+    end: error.end + clause.groupStart + 1
+  }));
+  return groupErrors.length ? undefined : tree;
+}
+
+// A concept's keywords are alternatives: (a OR "b c"), or a single keyword
+function parseConcept(clause, errors) {
+  const tree = parseGroup(clause, errors);
+  if (tree === undefined) return null;
+  const terms = tree ? tree.children : [];
+  const isAlternatives = !tree || (!tree.negate
+    && (tree.operator === 'OR' || terms.length === 1)
+    && terms.every(term => term.type === 'term' && !term.negate));
+  if (!isAlternatives) {
+    errors.push({
+      message: 'Concept keywords must be alternatives, e.g. concept:Name(a OR "b c")',
+      start: clause.groupStart,
+      end: clause.end
+    });
+    return null;
+  }
+  return createConceptBlock(clause.value, terms.map(term => term.value));
+}
+
+// "van Berg, Jan" -> last name first; "Jane Doe" -> first and last
+function parseInventor(clause, errors) {
+  const comma = clause.value.indexOf(',');
+  if (comma !== -1) {
+    const last_name = clause.value.slice(0, comma).trim();
+    const first_name = clause.value.slice(comma + 1).trim();
+    if (last_name && first_name) return { first_name, last_name };
+  } else {
+    const parts = clause.value.split(/\s+/);
+    if (parts.length === 2) return { first_name: parts[0], last_name: parts[1] };
+  }
+  errors.push({
+    message: 'Write the inventor as "Last, First", e.g. inventor:"van Berg, Jan"',
+    start: clause.valueStart,
+    end: clause.end
+  });
+  return null;
+}
+
+function parseDateBound(raw, isEnd) {
+  const match = DATE_PATTERN.exec(raw);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  if (day) return `${year}-${month}-${day}`;
+  if (month) {
+    const lastDay = new Date(Number(year), Number(month), 0).getDate();
+    return isEnd ? `${year}-${month}-${String(lastDay).padStart(2, '0')}` : `${year}-${month}-01`;
+  }
+  return isEnd ? `${year}-12-31` : `${year}-01-01`;
+}
+
+function parseDateRange(clause, errors) {
+  const [fromRaw, toRaw, extra] = clause.value.split('..');
+  const isRange = clause.value.includes('..');
+
+  if (extra !== undefined) {
+    errors.push({ message: 'Date range has more than one ".."', start: clause.valueStart, end: clause.end });
+    return null;
+  }
+
+  const date_from = fromRaw ? parseDateBound(fromRaw, false) : '';
+  const date_to = isRange
+    ? (toRaw ? parseDateBound(toRaw, true) : '')
+    : parseDateBound(fromRaw, true);
+
+  if (date_from === null || date_to === null || (!date_from && !date_to)) {
+    errors.push({
+      message: `Invalid date "${clause.value}", use YYYY, YYYY-MM or YYYY-MM-DD with an optional ".." range`,
+      start: clause.valueStart,
+      end: clause.end
+    });
+    return null;
+  }
+  if (date_from && date_to && date_from > date_to) {
+    errors.push({ message: 'Date range ends before it starts', start: clause.valueStart, end: clause.end });
+    return null;
+  }
+
+  return { date_from, date_to };
+}
+
+export function parseQueryText(text) {
+  const errors = [];
+  const filters = {};
+  const push = (name, value) => {
+    filters[name] = filters[name] || [];
+    const exists = filters[name].some(existing => JSON.stringify(existing) === JSON.stringify(value));
+    if (!exists) filters[name].push(value);
+  };
+
+  tokenize(String(text || ''), errors).forEach(clause => {
+    const field = clause.field || 'kw';
+
+    if (!FIELDS.includes(field)) {
+      errors.push({
+        message: `Unknown field "${clause.field}"`,
+        start: clause.fieldStart,
+        end: clause.fieldStart + clause.field.length
+      });
+      return;
+    }
+    if (GROUP_FIELDS.includes(field) && clause.group === null) {
+      const example = field === 'bool' ? 'bool:(a AND NOT b)' : 'concept:Name(a OR b)';
+      errors.push({ message: `"${field}" needs a group in parentheses, e.g. ${example}`, start: clause.start, end: clause.end });
+      return;
+    }
+    if (field === 'bool' && clause.value) {
+      errors.push({ message: '"bool" takes no name, only a group: bool:(a OR b)', start: clause.valueStart, end: clause.groupStart });
+      return;
+    }
+    if (!clause.value && field !== 'bool') {
+      errors.push({ message: `Missing value for "${field}"`, start: clause.start, end: clause.end });
+      return;
+    }
+    if (clause.negate && !KEYWORD_FIELDS.includes(field)) {
+      errors.push({ message: `"${field}" can't be negated, only keywords can`, start: clause.start, end: clause.start + 1 });
+      return;
+    }
+
+    if (KEYWORD_FIELDS.includes(field)) {
+      push(clause.negate ? 'keywords-exclude' : 'keywords-include', clause.value);
+    } else if (CODE_FIELDS.includes(field)) {
+      push('code', clause.value);
+    } else if (field === 'assignee') {
+      push('assignee', clause.value);
+    } else if (field === 'inventor') {
+      const inventor = parseInventor(clause, errors);
+      if (inventor) push('inventor', inventor);
+    } else if (field === 'concept') {
+      const block = parseConcept(clause, errors);
+      if (!block) return;
+      filters['keywords-concepts'] = filters['keywords-concepts'] || [];
+      if (filters['keywords-concepts'].some(existing => existing.name === block.name)) {
+        errors.push({ message: `Concept "${block.name}" is given twice`, start: clause.start, end: clause.end });
+        return;
+      }
+      filters['keywords-concepts'].push(block);
+    } else if (field === 'bool') {
+      if (filters['keywords-boolean'] !== undefined) {
+        errors.push({ message: 'Only one bool group is allowed; combine them with AND', start: clause.start, end: clause.end });
+        return;
+      }
+      const tree = parseGroup(clause, errors);
+      if (tree !== undefined) filters['keywords-boolean'] = tree;
+    } else if (DATE_FIELDS.includes(field)) {
+      if (filters.date) {
+        errors.push({ message: 'Only one date range is allowed', start: clause.start, end: clause.end });
+        return;
+      }
+      const range = parseDateRange(clause, errors);
+      if (range) filters.date = { type: `${field}*date`, value: range };
+    }
+  });
+
+  errors.sort((a, b) => a.start - b.start);
+  return { filters, errors };
+}
+
+function listValue(filters, name) {
+  const filter = filters?.find(f => f.name === name);
+  return Array.isArray(filter?.value) ? filter.value : [];
+}
+
+export function serializeFilters(filters) {
+  const parts = [];
+
+  listValue(filters, 'keywords-include').forEach(kw => parts.push(`kw:${quoteTerm(kw)}`));
+  listValue(filters, 'keywords-exclude').forEach(kw => parts.push(`-kw:${quoteTerm(kw)}`));
+  listValue(filters, 'code').forEach(code => parts.push(`cpc:${quoteTerm(code)}`));
+  listValue(filters, 'assignee').forEach(assignee => parts.push(`assignee:${quoteTerm(assignee)}`));
+  listValue(filters, 'inventor').forEach(inventor => {
+    parts.push(`inventor:${quoteTerm(`${inventor.last_name}, ${inventor.first_name}`)}`);
+  });
+  listValue(filters, 'keywords-concepts').forEach(block => {
+    parts.push(`concept:${quoteTerm(block.name)}(${block.keywords.map(quoteTerm).join(' OR ')})`);
+  });
+
+  const booleanQuery = toQueryString(filters?.find(f => f.name === 'keywords-boolean')?.value);
+  if (booleanQuery) parts.push(`bool:(${booleanQuery})`);
+
+  const date = filters?.find(f => f.name === 'date');
+  if (date?.value && (date.value.date_from || date.value.date_to)) {
+    const prefix = date.type?.split('*')[0] || 'priority';
+    parts.push(`${prefix}:${date.value.date_from || ''}..${date.value.date_to || ''}`);
+  }
+
+  return parts.join(' ');
+}
@@ -0,0 +1,77 @@
+// relevanceFeedback.js
+// Relevant / not relevant marks come from the result annotations. The marked
+// examples are sent with "generate more" keyword requests, and the irrelevant
+// ones suggest exclude keywords when the endpoint doesn't return any.
+
+export const RELEVANT_TAG = 'relevant';
+export const IRRELEVANT_TAG = 'not relevant';
+export const RELEVANCE_TAGS = [RELEVANT_TAG, IRRELEVANT_TAG];
+
+// Most recent marks win when a user has judged more results than this
+export const MAX_FEEDBACK_EXAMPLES = 10;
+const MAX_EXCLUDE_SUGGESTIONS = 8;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'for', 'from', 'has',
+  'have', 'in', 'into', 'is', 'it', 'its', 'least', 'may', 'more', 'of', 'on',
+  'one', 'or', 'said', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+  'this', 'to', 'used', 'using', 'via', 'which', 'with', 'within', 'wherein',
+  'method', 'system', 'device', 'apparatus', 'invention', 'present', 'provided',
+  'comprising', 'includes', 'including', 'first', 'second', 'plurality', 'based'
+]);
+
+function toExample(annotation) {
+  return {
+    publication_number: annotation.item.publication_number,
+    title: annotation.item.title || '',
+    abstract: annotation.item.abstract || ''
+  };
+}
+
+// { positive: [{ publication_number, title, abstract }], negative: [...] }
+export function collectFeedback(annotations) {
+  const marked = Object.values(annotations || {})
+    .filter(annotation => annotation.item)
+    .sort((a, b) => String(b.updated_at || '').localeCompare(String(a.updated_at || '')));
+
+  const pick = tag => marked
+    .filter(annotation => annotation.tags.includes(tag))
+    .slice(0, MAX_FEEDBACK_EXAMPLES)
+    .map(toExample);
+
+  return { positive: pick(RELEVANT_TAG), negative: pick(IRRELEVANT_TAG) };
+}
+
+// Lower-cased content words: no stopwords, numbers or words under four letters
+export function significantWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9-]+/)
+    .filter(word => word.length > 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Words common to the irrelevant examples that never show up in the relevant
+// ones, the description or the current keywords
+export function suggestExcludeKeywords(feedback, { description = '', keywords = [] } = {}) {
+  const exampleText = example => `${example.title} ${example.abstract}`;
+  const known = new Set([
+    ...feedback.positive.flatMap(example => significantWords(exampleText(example))),
+    ...significantWords(description),
+    ...keywords.flatMap(keyword => significantWords(keyword))
+  ]);
+
+  // Count each word once per example so one long abstract can't dominate
+  const counts = new Map();
+  feedback.negative.forEach(example => {
+    new Set(significantWords(exampleText(example))).forEach(word => {
+      if (!known.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+
+  const minCount = feedback.negative.length > 1 ? 2 : 1;
+  return Array.from(counts)
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_EXCLUDE_SUGGESTIONS)
+    .map(([word]) => word);
+}
@@ -0,0 +1,83 @@
+// resultAnnotations.js
+// Review decisions kept in state.annotations, keyed by publication_number:
+//   { 'US1234567B2': { starred, tags: ['relevant'], note, item, updated_at } }
+// item is a short copy of the result so annotations stay readable after the
+// result drops out of a later run. Helpers return a new map and drop entries
+// that no longer hold anything.
+
+export const RESULT_TAGS = ['relevant', 'X-category', 'not relevant'];
+
+function summarizeItem(item) {
+  return {
+    publication_number: item.publication_number,
+    title: item.title || '',
+    abstract: item.abstract || '',
+    assignee: item.assignee || ''
+  };
+}
+
+function isEmpty(annotation) {
+  return !annotation.starred && !annotation.tags.length && !annotation.note;
+}
+
+export function getAnnotation(annotations, publicationNumber) {
+  return annotations?.[publicationNumber] || { starred: false, tags: [], note: '' };
+}
+
+function updateAnnotation(annotations, item, updateFn) {
+  const key = item?.publication_number;
+  if (!key) return annotations || {};
+
+  const next = { ...(annotations || {}) };
+  const annotation = updateFn({ ...getAnnotation(next, key) });
+  if (isEmpty(annotation)) {
+    delete next[key];
+  } else {
+    next[key] = { ...annotation, item: summarizeItem(item), updated_at: new Date().toISOString() };
+  }
+  return next;
+}
+
+export function toggleStar(annotations, item) {
+  return updateAnnotation(annotations, item, annotation => ({
+    ...annotation,
+    starred: !annotation.starred
+  }));
+}
+
+// Adding a tag drops any of exclusiveWith, e.g. "relevant" vs "not relevant"
+export function toggleTag(annotations, item, tag, exclusiveWith = []) {
+  const trimmed = String(tag || '').trim();
+  if (!trimmed) return annotations || {};
+  return updateAnnotation(annotations, item, annotation => ({
+    ...annotation,
+    tags: annotation.tags.includes(trimmed)
+      ? annotation.tags.filter(t => t !== trimmed)
+      : [...annotation.tags.filter(t => !exclusiveWith.includes(t)), trimmed]
+  }));
+}
+
+// Bulk tagging only ever adds, so items that already have the tag keep it
+export function addTag(annotations, item, tag, exclusiveWith = []) {
+  const trimmed = String(tag || '').trim();
+  if (!trimmed) return annotations || {};
+  return updateAnnotation(annotations, item, annotation => ({
+    ...annotation,
+    tags: annotation.tags.includes(trimmed)
+      ? annotation.tags
+      : [...annotation.tags.filter(t => !exclusiveWith.includes(t)), trimmed]
+  }));
+}
+
+export function setNote(annotations, item, note) {
+  return updateAnnotation(annotations, item, annotation => ({
+    ...annotation,
+    note: String(note || '').trim()
+  }));
+}
+
+// Every tag in use, presets first
+export function collectTags(annotations) {
+  const used = Object.values(annotations || {}).flatMap(annotation => annotation.tags);
+  return Array.from(new Set([...RESULT_TAGS, ...used]));
+}
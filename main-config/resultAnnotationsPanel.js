@@ -0,0 +1,105 @@
+// resultAnnotationsPanel.js
+import { EventTypes } from "./eventTypes.js";
+import { getAnnotation, collectTags } from "./resultAnnotations.js";
+
+// Star, tag and note controls for the result open in #patent-table-sidebar,
+// rendered into its [sidebar-info="annotations"] element.
+export class ResultAnnotationsPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#patent-table-sidebar [sidebar-info="annotations"]'
+    };
+  }
+
+  render(state) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    const item = state.search?.active_item;
+    if (!item?.publication_number) {
+      root.innerHTML = '';
+      delete root.dataset.publicationNumber;
+      return;
+    }
+
+    const annotation = getAnnotation(state.annotations, item.publication_number);
+
+    // The note field survives re-renders of the same result so typing isn't interrupted
+    if (root.dataset.publicationNumber !== item.publication_number) {
+      root.innerHTML = '';
+      root.dataset.publicationNumber = item.publication_number;
+      const controls = document.createElement('div');
+      controls.className = 'result-annotations_controls';
+      root.appendChild(controls);
+      root.appendChild(this.createNoteField(item));
+    }
+
+    const controls = root.querySelector('.result-annotations_controls');
+    controls.innerHTML = '';
+    controls.appendChild(this.createStarButton(item, annotation));
+    controls.appendChild(this.createTagList(item, annotation, collectTags(state.annotations)));
+    controls.appendChild(this.createTagInput(item));
+
+    const note = root.querySelector('.result-annotations_note');
+    if (note && document.activeElement !== note) note.value = annotation.note;
+  }
+
+  createStarButton(item, annotation) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `result-annotations_star${annotation.starred ? ' is-active' : ''}`;
+    button.textContent = annotation.starred ? '★ Starred' : '☆ Star';
+    button.setAttribute('aria-pressed', String(annotation.starred));
+    button.addEventListener('click', e => {
+      e.preventDefault();
+      this.eventBus.emit(EventTypes.RESULT_STAR_TOGGLED, { item });
+    });
+    return button;
+  }
+
+  createTagList(item, annotation, tags) {
+    const list = document.createElement('div');
+    list.className = 'result-annotations_tags';
+
+    tags.forEach(tag => {
+      const active = annotation.tags.includes(tag);
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = `result-annotations_tag${active ? ' is-active' : ''}`;
+      chip.textContent = tag;
+      chip.setAttribute('aria-pressed', String(active));
+      chip.addEventListener('click', e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.RESULT_TAG_TOGGLED, { item, tag });
+      });
+      list.appendChild(chip);
+    });
+
+    return list;
+  }
+
+  createTagInput(item) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'result-annotations_tag-input';
+    input.placeholder = 'Add tag';
+    input.addEventListener('keypress', e => {
+      if (e.key === 'Enter' && input.value.trim()) {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.RESULT_TAG_TOGGLED, { item, tag: input.value.trim() });
+      }
+    });
+    return input;
+  }
+
+  createNoteField(item) {
+    const note = document.createElement('textarea');
+    note.className = 'result-annotations_note';
+    note.placeholder = 'Notes';
+    note.addEventListener('change', () => {
+      this.eventBus.emit(EventTypes.RESULT_NOTE_UPDATED, { item, note: note.value });
+    });
+    return note;
+  }
+}
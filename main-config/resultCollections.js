@@ -0,0 +1,46 @@
+// resultCollections.js
+// Named sets of results kept in state.collections, newest first:
+//   [{ id, name, created_at, items: [{ publication_number, title, abstract, assignee }] }]
+// Items are short copies so a collection outlives the runs it was built from.
+// Helpers return a new list.
+
+function generateCollectionId() {
+  return 'col-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+function summarizeItem(item) {
+  return {
+    publication_number: item.publication_number,
+    title: item.title || '',
+    abstract: item.abstract || '',
+    assignee: item.assignee || ''
+  };
+}
+
+export function findCollection(collections, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return (collections || []).find(collection => collection.name.toLowerCase() === key) || null;
+}
+
+// Adds items to the collection with this name, creating it when it's new
+export function addToCollection(collections, name, items) {
+  const trimmed = String(name || '').trim();
+  const list = Array.isArray(collections) ? collections : [];
+  if (!trimmed) return list;
+
+  const existing = findCollection(list, trimmed);
+  const collection = existing || { id: generateCollectionId(), name: trimmed, created_at: new Date().toISOString(), items: [] };
+  const known = new Set(collection.items.map(item => item.publication_number));
+  const added = (items || [])
+    .filter(item => item?.publication_number && !known.has(item.publication_number))
+    .map(summarizeItem);
+  const updated = { ...collection, items: [...collection.items, ...added] };
+
+  return existing
+    ? list.map(c => (c.id === existing.id ? updated : c))
+    : [updated, ...list];
+}
+
+export function removeCollection(collections, collectionId) {
+  return (collections || []).filter(collection => collection.id !== collectionId);
+}
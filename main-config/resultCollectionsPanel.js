@@ -0,0 +1,67 @@
+// resultCollectionsPanel.js
+import { EventTypes } from "./eventTypes.js";
+
+// The session's result collections in #result-collections, each folded to its
+// name and size with the collected publications inside.
+export class ResultCollectionsPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#result-collections'
+    };
+  }
+
+  render(state) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    const collections = state.collections || [];
+    root.innerHTML = '';
+    root.style.display = collections.length ? '' : 'none';
+
+    collections.forEach(collection => root.appendChild(this.createCollectionElement(collection)));
+  }
+
+  createCollectionElement(collection) {
+    const details = document.createElement('details');
+    details.className = 'result-collections_collection';
+
+    const summary = document.createElement('summary');
+    summary.className = 'result-collections_header';
+
+    const name = document.createElement('span');
+    name.className = 'result-collections_name';
+    name.textContent = collection.name;
+    summary.appendChild(name);
+
+    const count = document.createElement('span');
+    count.className = 'result-collections_count';
+    count.textContent = `${collection.items.length} results`;
+    summary.appendChild(count);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'result-collections_remove';
+    removeBtn.textContent = 'Delete';
+    removeBtn.addEventListener('click', e => {
+      e.preventDefault();
+      if (confirm(`Delete the collection "${collection.name}"?`)) {
+        this.eventBus.emit(EventTypes.COLLECTION_REMOVED, { collectionId: collection.id });
+      }
+    });
+    summary.appendChild(removeBtn);
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'result-collections_items';
+    collection.items.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = 'result-collections_item';
+      entry.textContent = [item.publication_number, item.title].filter(Boolean).join(' — ');
+      list.appendChild(entry);
+    });
+    details.appendChild(list);
+
+    return details;
+  }
+}
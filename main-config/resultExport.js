@@ -0,0 +1,136 @@
+// resultExport.js
+// Client-side export of result items to CSV, JSON, RIS and BibTeX. Only the
+// fields passed in (SessionState.getVisibleFields() for the active library)
+// are written.
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' }
+};
+
+export const EXPORT_SCOPES = ['all', 'page', 'selected'];
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return value ? [String(value).trim()] : [];
+}
+
+// Claims and descriptions can hold HTML; exports get plain text
+function toText(value) {
+  return toList(value).join('; ').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function getYear(item) {
+  const date = item.publication_date || item.grant_date || item.priority_date || item.filing_date || '';
+  return /^(\d{4})/.exec(String(date))?.[1] || '';
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@]/;
+
+function toCsv(items, fields) {
+  const escape = value => {
+    let text = toText(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = items.map(item => fields.map(field => escape(item[field])).join(','));
+  // BOM so spreadsheet apps pick up UTF-8
+  return '\uFEFF' + [fields.join(','), ...rows].join('\r\n');
+}
+
+function toJson(items, fields) {
+  const picked = items.map(item => Object.fromEntries(fields.map(field => [field, item[field] ?? null])));
+  return JSON.stringify(picked, null, 2);
+}
+
+function toRis(items, fields) {
+  const has = field => fields.includes(field);
+  return items.map(item => {
+    const lines = ['TY  - PAT'];
+    const add = (tag, value) => {
+      const text = toText(value);
+      if (text) lines.push(`${tag}  - ${text}`);
+    };
+
+    if (has('title')) add('TI', item.title);
+    if (has('inventors')) toList(item.inventors).forEach(inventor => add('AU', inventor));
+    if (has('assignee')) toList(item.assignee).forEach(assignee => add('PB', assignee));
+    add('PY', getYear(item));
+    if (has('publication_date')) add('DA', item.publication_date);
+    if (has('publication_number')) add('M1', item.publication_number);
+    if (has('abstract')) add('AB', item.abstract);
+    if (has('patent_url')) add('UR', item.patent_url);
+    if (has('status')) add('N1', item.status);
+    lines.push('ER  - ');
+    return lines.join('\r\n');
+  }).join('\r\n\r\n');
+}
+
+function toBibtex(items, fields) {
+  const has = field => fields.includes(field);
+  const special = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+  const escape = value => toText(value).replace(/[\\~^{}%&$#_]/g, char => special[char] || `\\${char}`);
+  const usedKeys = new Set();
+
+  return items.map((item, index) => {
+    let key = String(item.publication_number || `result${index + 1}`).replace(/[^A-Za-z0-9]/g, '');
+    while (usedKeys.has(key)) key += 'a';
+    usedKeys.add(key);
+
+    const entries = [];
+    const add = (name, value) => {
+      const text = escape(value);
+      if (text) entries.push(`  ${name} = {${text}}`);
+    };
+
+    if (has('title')) add('title', item.title);
+    if (has('inventors')) add('author', toList(item.inventors).join(' and '));
+    if (has('assignee')) add('holder', toList(item.assignee).join(' and '));
+    if (has('publication_number')) add('number', item.publication_number);
+    add('year', getYear(item));
+    if (has('publication_date')) add('date', item.publication_date);
+    if (has('patent_url')) add('url', item.patent_url);
+    if (has('abstract')) add('abstract', item.abstract);
+
+    return `@patent{${key},\n${entries.join(',\n')}\n}`;
+  }).join('\n\n');
+}
+
+export function formatResults(items, fields, format) {
+  switch (format) {
+    case 'csv':
+      return toCsv(items, fields);
+    case 'json':
+      return toJson(items, fields);
+    case 'ris':
+      return toRis(items, fields);
+    case 'bibtex':
+      return toBibtex(items, fields);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+export function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function exportResults(items, fields, format) {
+  const config = EXPORT_FORMATS[format];
+  if (!config) throw new Error(`Unknown export format "${format}"`);
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(formatResults(items, fields, format), `patent-search-${date}.${config.extension}`, config.mimeType);
+}
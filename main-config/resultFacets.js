@@ -0,0 +1,56 @@
+// resultFacets.js
+// Counts of assignees, inventors, years and CPC codes across result items.
+// Results may carry a field as a string or an array, so everything goes
+// through getFieldValues().
+
+export const FACET_LIMIT = 10;
+
+export const FACETS = [
+  { name: 'assignee', label: 'Assignee', fields: ['assignee'] },
+  { name: 'inventor', label: 'Inventor', fields: ['inventors'] },
+  // Filing dates only: the drill-down filters on the filing date
+  { name: 'year', label: 'Filing year', fields: ['filing_date'] },
+  { name: 'code', label: 'CPC code', fields: ['cpc_codes', 'cpc', 'codes'] }
+];
+
+function getFieldValues(item, field) {
+  const raw = item?.[field];
+  const values = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(/[;,]/) : []);
+  return values.map(value => String(value || '').trim()).filter(Boolean);
+}
+
+function getFacetValues(item, facet) {
+  if (facet.name === 'year') {
+    const year = /^(\d{4})/.exec(String(item?.[facet.fields[0]] || ''))?.[1];
+    return year ? [year] : [];
+  }
+  const field = facet.fields.find(name => getFieldValues(item, name).length);
+  return field ? Array.from(new Set(getFieldValues(item, field))) : [];
+}
+
+// { assignee: [{ value, count }], inventor: [...], year: [...], code: [...] }
+export function computeFacets(items, limit = FACET_LIMIT) {
+  const facets = {};
+
+  FACETS.forEach(facet => {
+    const counts = new Map();
+    (Array.isArray(items) ? items : []).forEach(item => {
+      getFacetValues(item, facet).forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+    facets[facet.name] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, limit);
+  });
+
+  return facets;
+}
+
+// "Jane Q. Doe" -> { first_name: "Jane Q.", last_name: "Doe" }
+export function parseInventorName(name) {
+  const parts = String(name || '').trim().split(/\s+/);
+  if (parts.length < 2) return null;
+  return { first_name: parts.slice(0, -1).join(' '), last_name: parts[parts.length - 1] };
+}
@@ -0,0 +1,134 @@
+// resultFacetsPanel.js
+import { EventTypes } from "./eventTypes.js";
+import { FACETS, computeFacets, parseInventorName } from "./resultFacets.js";
+
+// Facet counts shown next to the results table in #search-facets. Clicking a
+// value emits the same events as the filter steps, so it becomes a real filter.
+export class ResultFacetsPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#search-facets'
+    };
+  }
+
+  // complete: items is the fetched result set rather than the pages viewed so far
+  render(state, items, { complete = false, total = 0 } = {}) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    root.innerHTML = '';
+    if (!state.searchRan || !items.length) {
+      root.style.display = 'none';
+      return;
+    }
+    root.style.display = '';
+
+    const facets = computeFacets(items);
+
+    // A partial count is labelled with the sample it comes from
+    const summary = document.createElement('div');
+    summary.className = 'search-facets_summary';
+    if (items.length >= total) {
+      summary.textContent = `Based on all ${items.length} results`;
+    } else if (complete) {
+      summary.textContent = `Based on the first ${items.length} of ${total} results`;
+    } else {
+      summary.textContent = `Based on ${items.length} of ${total} results, loading the rest...`;
+    }
+    root.appendChild(summary);
+
+    FACETS.forEach(facet => {
+      if (!facets[facet.name].length) return;
+      root.appendChild(this.createFacetGroup(facet, facets[facet.name], state));
+    });
+  }
+
+  createFacetGroup(facet, values, state) {
+    const group = document.createElement('div');
+    group.className = 'search-facets_group';
+    group.dataset.facet = facet.name;
+
+    const heading = document.createElement('div');
+    heading.className = 'search-facets_heading';
+    heading.textContent = facet.label;
+    group.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'search-facets_list';
+    values.forEach(({ value, count }) => {
+      const active = this.isApplied(facet.name, value, state);
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `search-facets_value${active ? ' is-active' : ''}`;
+      button.disabled = active;
+      button.title = active ? 'Already a filter' : `Add ${value} as a filter`;
+
+      const label = document.createElement('span');
+      label.className = 'search-facets_label';
+      label.textContent = value;
+      button.appendChild(label);
+
+      const countEl = document.createElement('span');
+      countEl.className = 'search-facets_count';
+      countEl.textContent = count;
+      button.appendChild(countEl);
+
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        this.applyFacet(facet.name, value);
+      });
+      list.appendChild(button);
+    });
+    group.appendChild(list);
+
+    return group;
+  }
+
+  isApplied(facetName, value, state) {
+    const filterValue = name => state.filters?.find(f => f.name === name)?.value;
+
+    switch (facetName) {
+      case 'assignee':
+        return (filterValue('assignee') || []).includes(value);
+      case 'code':
+        return (filterValue('code') || []).includes(value);
+      case 'inventor': {
+        const inventor = parseInventorName(value);
+        return !!inventor && (filterValue('inventor') || []).some(i =>
+          i.first_name === inventor.first_name && i.last_name === inventor.last_name
+        );
+      }
+      case 'year': {
+        const date = filterValue('date');
+        return date?.date_from === `${value}-01-01` && date?.date_to === `${value}-12-31`;
+      }
+      default:
+        return false;
+    }
+  }
+
+  applyFacet(facetName, value) {
+    switch (facetName) {
+      case 'assignee':
+        this.eventBus.emit(EventTypes.ASSIGNEE_ADDED, { assignee: value });
+        break;
+      case 'code':
+        this.eventBus.emit(EventTypes.CODE_ADDED, { code: value });
+        break;
+      case 'inventor': {
+        const inventor = parseInventorName(value);
+        if (inventor) this.eventBus.emit(EventTypes.INVENTOR_ADDED, { inventor });
+        break;
+      }
+      case 'year':
+        this.eventBus.emit(EventTypes.FILTER_UPDATED, {
+          filterName: 'date',
+          type: 'filing*date',
+          value: { date_from: `${value}-01-01`, date_to: `${value}-12-31` }
+        });
+        break;
+    }
+  }
+}
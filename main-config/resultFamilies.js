@@ -0,0 +1,34 @@
+// resultFamilies.js
+// Groups results that belong to the same patent family. The API's family id
+// is used when present; otherwise publications sharing a country and number
+// once the kind code is dropped (EP1234567A1 / EP1234567B1) count as one.
+
+const KIND_CODE = /[A-Z]\d?$/;
+
+export function normalizePublicationNumber(publicationNumber) {
+  const compact = String(publicationNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  // Only strip a kind code that follows the number, never the country prefix
+  return /\d[A-Z]\d?$/.test(compact) ? compact.replace(KIND_CODE, '') : compact;
+}
+
+export function getFamilyKey(item) {
+  const familyId = item?.family_id ?? item?.family;
+  if (familyId !== undefined && familyId !== null && familyId !== '') {
+    return `family:${familyId}`;
+  }
+  return `number:${normalizePublicationNumber(item?.publication_number)}`;
+}
+
+// [{ key, representative, members }] in the order families first appear; the
+// representative is the best-ranked member
+export function groupByFamily(items) {
+  const groups = new Map();
+  (Array.isArray(items) ? items : []).forEach(item => {
+    const key = getFamilyKey(item);
+    if (!groups.has(key)) {
+      groups.set(key, { key, representative: item, members: [] });
+    }
+    groups.get(key).members.push(item);
+  });
+  return Array.from(groups.values());
+}
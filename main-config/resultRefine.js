@@ -0,0 +1,36 @@
+// resultRefine.js
+// Local "search within results": every word (or "quoted phrase") in the
+// refinement text has to appear in one of the searchable fields.
+
+const REFINE_FIELDS = ['title', 'abstract', 'claims', 'assignee', 'inventors'];
+
+export function parseRefinementTerms(text) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+function getSearchableText(item) {
+  return REFINE_FIELDS
+    .map(field => Array.isArray(item?.[field]) ? item[field].join(' ') : String(item?.[field] || ''))
+    .join(' ')
+    // Claims come as HTML; only the text should match
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase();
+}
+
+export function refineResults(items, text) {
+  const terms = parseRefinementTerms(text);
+  if (!Array.isArray(items)) return [];
+  if (!terms.length) return items.slice();
+
+  return items.filter(item => {
+    const haystack = getSearchableText(item);
+    return terms.every(term => haystack.includes(term));
+  });
+}
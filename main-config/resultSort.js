@@ -0,0 +1,65 @@
+// resultSort.js
+// Sort options for the results table. The search API sorts server-side; these
+// helpers cover the fallback where it returns the full, unpaged result list.
+//   state.search.sort = { field: 'priority_date', direction: 'desc' } | null (API order)
+
+export const SORT_FIELDS = [
+  'score',
+  'publication_date',
+  'priority_date',
+  'filing_date',
+  'grant_date',
+  'assignee',
+  'title'
+];
+
+const TEXT_FIELDS = ['assignee', 'title'];
+
+// First click on a column shows the most useful end of the list
+export function getDefaultDirection(field) {
+  return TEXT_FIELDS.includes(field) ? 'asc' : 'desc';
+}
+
+// Clicking the active column flips it, any other column starts at its default
+export function nextSort(currentSort, field) {
+  if (currentSort?.field === field) {
+    return { field, direction: currentSort.direction === 'asc' ? 'desc' : 'asc' };
+  }
+  return { field, direction: getDefaultDirection(field) };
+}
+
+export function isValidSort(sort) {
+  return sort === null || (
+    !!sort &&
+    SORT_FIELDS.includes(sort.field) &&
+    ['asc', 'desc'].includes(sort.direction)
+  );
+}
+
+function getSortValue(item, field) {
+  const value = item?.[field];
+  if (Array.isArray(value)) return value.length ? String(value[0]).toLowerCase() : null;
+  if (value === undefined || value === null || value === '') return null;
+  if (field === 'score') return Number(value);
+  return String(value).toLowerCase();
+}
+
+// Returns a new array; items missing the field always go last
+export function sortResults(items, sort) {
+  if (!Array.isArray(items)) return [];
+  if (!sort) return items.slice();
+
+  const factor = sort.direction === 'asc' ? 1 : -1;
+  return items
+    .map((item, index) => ({ item, index, value: getSortValue(item, sort.field) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value === b.value) return a.index - b.index;
+        return a.value === null ? 1 : -1;
+      }
+      if (a.value < b.value) return -factor;
+      if (a.value > b.value) return factor;
+      return a.index - b.index;
+    })
+    .map(entry => entry.item);
+}
@@ -0,0 +1,42 @@
+// runDiff.js
+// Compares the ranked results of two search runs by publication_number.
+// Rows come back in the newer run's order, followed by the ones that dropped out:
+//   { status: 'new' | 'retained' | 'removed', item, rank, previousRank, rankChange }
+// rankChange is positive when a result moved up.
+
+// How deep into each run the comparison looks
+export const RUN_DIFF_LIMIT = 100;
+
+function indexByPublication(results) {
+  const ranks = new Map();
+  (Array.isArray(results) ? results : []).forEach((item, index) => {
+    const key = item?.publication_number;
+    if (key && !ranks.has(key)) ranks.set(key, { item, rank: index + 1 });
+  });
+  return ranks;
+}
+
+export function diffRuns(baseResults, compareResults) {
+  const base = indexByPublication(baseResults);
+  const compare = indexByPublication(compareResults);
+  const rows = [];
+
+  compare.forEach(({ item, rank }, key) => {
+    const previous = base.get(key);
+    rows.push(previous
+      ? { status: 'retained', item, rank, previousRank: previous.rank, rankChange: previous.rank - rank }
+      : { status: 'new', item, rank, previousRank: null, rankChange: null });
+  });
+
+  base.forEach(({ item, rank }, key) => {
+    if (!compare.has(key)) {
+      rows.push({ status: 'removed', item, rank: null, previousRank: rank, rankChange: null });
+    }
+  });
+
+  const count = status => rows.filter(row => row.status === status).length;
+  return {
+    rows,
+    summary: { new: count('new'), retained: count('retained'), removed: count('removed') }
+  };
+}
@@ -0,0 +1,128 @@
+// runDiffPanel.js
+import { EventTypes } from "./eventTypes.js";
+
+const STATUS_LABELS = {
+  new: 'New',
+  retained: 'Retained',
+  removed: 'Removed'
+};
+
+// Shows the comparison of two runs in #search-run-diff once SearchApp has
+// fetched both result lists.
+export class RunDiffPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#search-run-diff'
+    };
+  }
+
+  setupEventListeners() {
+    this.eventBus.on(EventTypes.SEARCH_RUNS_COMPARED, () => this.showLoading());
+    this.eventBus.on(EventTypes.SEARCH_RUN_DIFF_COMPLETED, payload => this.render(payload));
+    this.eventBus.on(EventTypes.SEARCH_RUN_DIFF_FAILED, () => this.hide());
+    // A restored or new run makes the comparison on screen stale
+    this.eventBus.on(EventTypes.SEARCH_RUN_RESTORED, () => this.hide());
+  }
+
+  showLoading() {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+    root.innerHTML = '';
+    root.style.display = '';
+    const loading = document.createElement('div');
+    loading.className = 'run-diff_loading';
+    loading.textContent = 'Comparing runs...';
+    root.appendChild(loading);
+  }
+
+  hide() {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+    root.innerHTML = '';
+    root.style.display = 'none';
+  }
+
+  render({ baseRun, compareRun, diff }) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+    root.innerHTML = '';
+    root.style.display = '';
+
+    const header = document.createElement('div');
+    header.className = 'run-diff_header';
+
+    const title = document.createElement('div');
+    title.className = 'run-diff_title';
+    title.textContent = `${new Date(baseRun.timestamp).toLocaleString()} → ${new Date(compareRun.timestamp).toLocaleString()}`;
+    header.appendChild(title);
+
+    const summary = document.createElement('div');
+    summary.className = 'run-diff_summary';
+    summary.textContent = `${diff.summary.new} new, ${diff.summary.removed} removed, ${diff.summary.retained} retained`;
+    header.appendChild(summary);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'run-diff_close';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', e => {
+      e.preventDefault();
+      this.hide();
+    });
+    header.appendChild(closeBtn);
+
+    root.appendChild(header);
+
+    const list = document.createElement('div');
+    list.className = 'run-diff_rows';
+    diff.rows.forEach(row => list.appendChild(this.createRow(row)));
+    root.appendChild(list);
+  }
+
+  createRow(row) {
+    const rowEl = document.createElement('div');
+    rowEl.className = `run-diff_row is-${row.status}`;
+    rowEl.dataset.status = row.status;
+    rowEl.dataset.opensSidebar = '';
+
+    const status = document.createElement('span');
+    status.className = 'run-diff_status';
+    status.textContent = STATUS_LABELS[row.status];
+    rowEl.appendChild(status);
+
+    const rank = document.createElement('span');
+    rank.className = 'run-diff_rank';
+    rank.textContent = row.status === 'removed' ? `was #${row.previousRank}` : `#${row.rank}`;
+    rowEl.appendChild(rank);
+
+    if (row.status === 'retained') {
+      const change = document.createElement('span');
+      change.className = 'run-diff_change';
+      if (row.rankChange > 0) {
+        change.textContent = `▲ ${row.rankChange}`;
+      } else if (row.rankChange < 0) {
+        change.textContent = `▼ ${-row.rankChange}`;
+      } else {
+        change.textContent = '–';
+      }
+      rowEl.appendChild(change);
+    }
+
+    const number = document.createElement('span');
+    number.className = 'run-diff_number';
+    number.textContent = row.item.publication_number || '';
+    rowEl.appendChild(number);
+
+    const title = document.createElement('span');
+    title.className = 'run-diff_item-title';
+    title.textContent = row.item.title || '';
+    rowEl.appendChild(title);
+
+    rowEl.addEventListener('click', () => {
+      this.eventBus.emit(EventTypes.SEARCH_ITEM_SELECTED, { item: row.item });
+    });
+
+    return rowEl;
+  }
+}
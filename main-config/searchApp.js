@@ -4,11 +4,35 @@ import EventBus from "./eventBus.js";
 import APIConfig from "./apiConfig.js";
 import APIService from "./apiService.js";
 import UIManager from "./uiManager.js";
-import SessionState from "./sessionState.js";
+import SessionState, { PAGE_SIZE_OPTIONS } from "./sessionState.js";
 import AssigneeSearchManager from "./assignee-search-manager.js";
 import ValueSelectManager from "./value-select-manager.js";
 import SessionManager from './sessionManager.js';
 import { AuthManager, AUTH_EVENTS } from './authManager.js';
+import { SessionSchemaError } from './sessionSchema.js';
+import { SORT_FIELDS, nextSort } from './resultSort.js';
+import { refineResults } from './resultRefine.js';
+import { createRunSnapshot, addRun, findRun } from './searchRuns.js';
+import { diffRuns, RUN_DIFF_LIMIT } from './runDiff.js';
+import { toggleStar, toggleTag, addTag, setNote } from './resultAnnotations.js';
+import { RELEVANCE_TAGS, collectFeedback, suggestExcludeKeywords } from './relevanceFeedback.js';
+import { exportResults, EXPORT_FORMATS } from './resultExport.js';
+import { buildSearchReport, openReportWindow, showReport } from './searchReport.js';
+import { EXCLUDE_FILTER, addExclusions, removeExclusion } from './publicationExclusions.js';
+import { addToCollection, removeCollection } from './resultCollections.js';
+import { addNode, removeNode, updateNode, createGroup, createTerm } from './booleanQuery.js';
+import { parseQueryText, QUERY_TEXT_FILTERS } from './queryLanguage.js';
+import {
+  normalizeConceptBlocks,
+  addConceptBlock,
+  removeConceptBlock,
+  renameConceptBlock,
+  mergeConceptBlocks,
+  addKeywordToBlock,
+  addKeywordsToBlock,
+  removeKeywordFromBlock,
+  flattenConceptKeywords
+} from './conceptBlocks.js';
 
 class SearchApp {
   constructor() {
@@ -26,41 +50,23 @@ class SearchApp {
     // Initialize managers with shared event bus
     this.uiManager = new UIManager(this.eventBus);
     this.sessionState = new SessionState(this.uiManager);
+    this.uiManager.bindState(this.sessionState);
     this.sessionManager = new SessionManager(this.eventBus);
     this.assigneeSearchManager = new AssigneeSearchManager(this.eventBus, EventTypes);
     this.valueSelectManager = new ValueSelectManager(this.eventBus);
+
+    // Latest in-flight results page fetch; older responses are dropped
+    this.searchPageRequest = null;
+
+    // Top results of past runs, fetched once for comparisons
+    this.runResultsCache = new Map();
     
     // Make app instance globally available
     window.app = this;
   }
 
   getEmptyState() {
-    return {
-      library: null,
-      method: { 
-        selected: null,
-        description: {
-          value: "",
-          previousValue: null,
-          isValid: false,
-          improved: false,
-          modificationSummary: null
-        },
-        patent: null,
-        searchValue: "",
-        validated: false
-      },
-      filters: [],
-      search: {
-        results: null,
-        current_page: 1,
-        total_pages: 0,
-        active_item: null,
-        reload_required: false,
-        items_per_page: 10
-      },
-      searchRan: false
-    };
+    return this.sessionState.getInitialState();
   }
 
   async initialize() {
@@ -145,8 +151,8 @@ async initializeSession() {
           // Update search state with results
           this.sessionState.updateSearchState({
             results: sessionData.search.results,
+            total_results: sessionData.search.total_results || 0,
             current_page: sessionData.search.current_page || 1,
-            total_pages: Math.ceil((sessionData.search.results.length || 0) / sessionData.search.items_per_page),
             active_item: sessionData.search.active_item || null,
             reload_required: false
           });
@@ -171,6 +177,11 @@ async initializeSession() {
     
   } catch (error) {
     Logger.error('Session/UI initialization failed:', error);
+    if (error instanceof SessionSchemaError) {
+      // Start from a clean state instead of rendering a partial session
+      this.sessionState.reset();
+      alert(`This session could not be opened. ${error.message}`);
+    }
     // Fallback to basic UI initialization
     this.uiManager.initialize();
   }
@@ -285,6 +296,18 @@ async initializeSession() {
     
     // Session Events
     this.setupSessionHandlers();
+
+    // Undo/Redo Events
+    this.setupHistoryHandlers();
+
+    // Result star/tag/note Events
+    this.setupAnnotationHandlers();
+
+    // Row selection, export and report Events
+    this.setupSelectionHandlers();
+    this.setupBulkActionHandlers();
+    this.setupExportHandlers();
+    this.setupReportHandlers();
 this.setupNewSessionButton();
     const reloadTriggeringEvents = [
       EventTypes.LIBRARY_SELECTED,
@@ -295,12 +318,28 @@ this.setupNewSessionButton();
       EventTypes.KEYWORD_REMOVED,
       EventTypes.KEYWORD_EXCLUDED_ADDED,
       EventTypes.KEYWORD_EXCLUDED_REMOVED,
+      EventTypes.QUERY_TEXT_APPLIED,
       EventTypes.CODE_ADDED,
       EventTypes.CODE_REMOVED,
       EventTypes.INVENTOR_ADDED,
       EventTypes.INVENTOR_REMOVED,
       EventTypes.ASSIGNEE_ADDED,
-      EventTypes.ASSIGNEE_REMOVED
+      EventTypes.ASSIGNEE_REMOVED,
+      EventTypes.BOOLEAN_NODE_ADDED,
+      EventTypes.BOOLEAN_NODE_REMOVED,
+      EventTypes.BOOLEAN_NODE_UPDATED,
+      EventTypes.CONCEPT_BLOCK_ADDED,
+      EventTypes.CONCEPT_BLOCK_REMOVED,
+      EventTypes.CONCEPT_BLOCK_RENAMED,
+      EventTypes.CONCEPT_BLOCKS_MERGED,
+      EventTypes.CONCEPT_KEYWORD_ADDED,
+      EventTypes.CONCEPT_KEYWORD_REMOVED,
+      EventTypes.RESULTS_BULK_EXCLUDED,
+      EventTypes.PUBLICATION_EXCLUDED,
+      EventTypes.PUBLICATION_EXCLUSION_REMOVED,
+      EventTypes.SEARCH_SIMILAR_CONFIRMED,
+      EventTypes.HISTORY_UNDO,
+      EventTypes.HISTORY_REDO
     ];
 
     reloadTriggeringEvents.forEach(eventType => {
@@ -318,35 +357,49 @@ this.setupNewSessionButton();
   setupNewSessionButton(){
     const newSessionButton = document.querySelector('#start-new-session');
   if (newSessionButton) {
-    newSessionButton.addEventListener('click', async () => {
-      try {
-        // Disable the button while processing
-        newSessionButton.disabled = true;
-        
-        // Check if there's an existing session
-        if (this.sessionManager.sessionId) {
-          Logger.info('Existing session found, saving before starting new session');
-          
-          try {
-            await this.sessionManager.saveSession();
-            Logger.info('Session saved successfully');
-          } catch (error) {
-            Logger.error('Error saving existing session:', error);
-            // Continue with new session even if save fails
-          }
-        }
-
-        // Remove all URL parameters and refresh
-        window.location.href = window.location.pathname;
-        
-      } catch (error) {
-        Logger.error('Error handling new session:', error);
-        // Re-enable the button if something goes wrong
-        newSessionButton.disabled = false;
-      }
+    newSessionButton.addEventListener('click', () => {
+      this.eventBus.emit(EventTypes.SESSION_NEW_REQUESTED);
     });
   }
 
+  this.eventBus.on(EventTypes.SESSION_NEW_REQUESTED, async () => {
+    try {
+      // Disable the button while processing
+      if (newSessionButton) newSessionButton.disabled = true;
+
+      await this.saveBeforeLeaving();
+
+      // Remove all URL parameters and refresh
+      window.location.href = window.location.pathname;
+
+    } catch (error) {
+      Logger.error('Error handling new session:', error);
+      // Re-enable the button if something goes wrong
+      if (newSessionButton) newSessionButton.disabled = false;
+    }
+  });
+
+  // Same page load the session history links do
+  this.eventBus.on(EventTypes.SESSION_OPEN_REQUESTED, async ({ sessionId }) => {
+    if (!sessionId || sessionId === this.sessionManager.sessionId) return;
+    await this.saveBeforeLeaving();
+    window.location.href = `${window.location.pathname}?id=${encodeURIComponent(sessionId)}`;
+  });
+
+  }
+
+  // Save the open session before navigating away from it
+  async saveBeforeLeaving() {
+    if (!this.sessionManager.sessionId) return;
+    Logger.info('Existing session found, saving before leaving it');
+
+    try {
+      await this.sessionManager.saveSession();
+      Logger.info('Session saved successfully');
+    } catch (error) {
+      Logger.error('Error saving existing session:', error);
+      // Continue even if save fails
+    }
   }
 
 setupSearchHandlers() {
@@ -371,18 +424,40 @@ setupSearchHandlers() {
       }
 
       const searchInput = this.sessionState.generateSearchInput();
-      const results = await this.apiService.executeSearch(searchInput);
+      const { items_per_page: pageSize, sort } = this.sessionState.get().search;
+      this.searchPageRequest = null;
+      // A new search always asks the backend again
+      const { results, total, totalIsEstimate } = await this.apiService.executeSearch(searchInput, {
+        page: 1,
+        pageSize,
+        sort,
+        refresh: true
+      });
       
       // Handle free user search count increment
       if (!this.authManager.getUserAuthToken()) {
         this.sessionManager.incrementFreeSearchCount();
       }
 
+      const runResults = await this.fetchRunResults(searchInput, sort, results, total);
+      const run = createRunSnapshot(this.sessionState.get(), { searchInput, results: runResults, total, totalIsEstimate });
+      this.sessionState.update("runs", addRun(this.sessionState.get().runs, run));
+
+      this.sessionState.pageCache.clear();
+      this.sessionState.pageCache.set(1, results);
       this.sessionState.updateSearchState({
-        results: results || [],
+        results,
+        total_results: total,
+        total_is_estimate: totalIsEstimate,
+        query: searchInput,
+        run_id: run.id,
+        selected: [],
+        refinement: "",
+        refined_total: null,
         current_page: 1,
-        total_pages: Math.ceil((results?.length || 0) / this.sessionState.get().search.items_per_page),
-        reload_required: false
+        active_item: null,
+        reload_required: false,
+        loading: false
       });
 
       // Save session if authenticated
@@ -455,26 +530,150 @@ setupSearchHandlers() {
     this.eventBus.on(EventTypes.SEARCH_PAGE_NEXT, () => {
       const state = this.sessionState.get();
       if (state.search?.current_page < state.search?.total_pages) {
-        this.sessionState.updateSearchState({
-          current_page: (state.search?.current_page || 0) + 1
-        });
+        this.loadSearchPage(state.search.current_page + 1);
       }
     });
 
     this.eventBus.on(EventTypes.SEARCH_PAGE_PREV, () => {
       const state = this.sessionState.get();
       if (state.search?.current_page > 1) {
-        this.sessionState.updateSearchState({
-          current_page: (state.search?.current_page || 2) - 1
+        this.loadSearchPage(state.search.current_page - 1);
+      }
+    });
+
+    this.eventBus.on(EventTypes.SEARCH_PAGE_GOTO, ({ page }) => {
+      const { current_page, total_pages } = this.sessionState.get().search;
+      const target = Math.min(Math.max(1, Math.floor(Number(page)) || 1), total_pages || 1);
+      if (target !== current_page) {
+        this.loadSearchPage(target);
+      }
+    });
+
+    this.eventBus.on(EventTypes.SEARCH_PAGE_SIZE_CHANGED, ({ pageSize }) => {
+      const search = this.sessionState.get().search;
+      if (!PAGE_SIZE_OPTIONS.includes(pageSize) || pageSize === search.items_per_page) return;
+
+      // Stay on the page that contains the first result currently on screen
+      const firstIndex = (search.current_page - 1) * search.items_per_page;
+      const page = Math.floor(firstIndex / pageSize) + 1;
+
+      this.searchPageRequest = null;
+      this.sessionState.pageCache.clear();
+      this.sessionState.updateSearchState({ items_per_page: pageSize, loading: false });
+
+      if (search.results) {
+        this.loadSearchPage(page);
+      }
+    });
+
+    this.eventBus.on(EventTypes.SEARCH_REFINED, ({ text }) => {
+      const refinement = String(text || '').trim();
+      const search = this.sessionState.get().search;
+      if (refinement === search.refinement) return;
+
+      this.searchPageRequest = null;
+      this.sessionState.updateSearchState({
+        refinement,
+        refined_total: null,
+        loading: false
+      });
+
+      if (search.results) {
+        this.loadSearchPage(1);
+      }
+    });
+
+    // Bring back a past run's filters and search; its first page is fetched
+    // again since runs only keep slim rows
+    this.eventBus.on(EventTypes.SEARCH_RUN_RESTORED, ({ runId }) => {
+      const run = findRun(this.sessionState.get().runs, runId);
+      if (!run) return;
+
+      this.searchPageRequest = null;
+      this.sessionState.updateMany({
+        library: run.library,
+        method: JSON.parse(JSON.stringify(run.method)),
+        filters: JSON.parse(JSON.stringify(run.filters))
+      });
+
+      this.sessionState.pageCache.clear();
+      this.sessionState.updateSearchState({
+        total_results: run.total,
+        total_is_estimate: !!run.total_is_estimate,
+        query: run.searchInput,
+        sort: run.sort,
+        items_per_page: run.items_per_page,
+        refinement: "",
+        refined_total: null,
+        run_id: run.id,
+        selected: [],
+        current_page: 1,
+        active_item: null,
+        reload_required: false,
+        loading: false
+      });
+      this.loadSearchPage(1);
+    });
+
+    this.eventBus.on(EventTypes.SEARCH_RUNS_COMPARED, async ({ baseRunId, compareRunId }) => {
+      const runs = this.sessionState.get().runs;
+      const baseRun = findRun(runs, baseRunId);
+      const compareRun = findRun(runs, compareRunId);
+      if (!baseRun || !compareRun || baseRun === compareRun) return;
+
+      try {
+        const [baseResults, compareResults] = await Promise.all([
+          this.getRunResults(baseRun),
+          this.getRunResults(compareRun)
+        ]);
+        this.eventBus.emit(EventTypes.SEARCH_RUN_DIFF_COMPLETED, {
+          baseRun,
+          compareRun,
+          diff: diffRuns(baseResults, compareResults)
         });
+      } catch (error) {
+        Logger.error('Failed to compare search runs:', error);
+        this.eventBus.emit(EventTypes.SEARCH_RUN_DIFF_FAILED, { error });
+        alert(error.message || 'Failed to compare search runs. Please try again.');
+      }
+    });
+
+    // Facets and family grouping cover the whole (capped) result set
+    this.eventBus.on(EventTypes.SEARCH_ALL_RESULTS_REQUESTED, async () => {
+      try {
+        await this.getAllResults();
+      } catch (error) {
+        Logger.error('Failed to load all results:', error);
+      }
+    });
+
+    this.eventBus.on(EventTypes.SEARCH_FAMILY_GROUPING_TOGGLED, ({ enabled }) => {
+      this.sessionState.updateSearchState({ group_families: !!enabled });
+    });
+
+    // Sorting reorders the whole result set, so start over from page 1
+    this.eventBus.on(EventTypes.SEARCH_SORT_CHANGED, ({ field }) => {
+      if (!SORT_FIELDS.includes(field)) return;
+      const search = this.sessionState.get().search;
+
+      this.searchPageRequest = null;
+      this.sessionState.pageCache.clear();
+      this.sessionState.updateSearchState({ sort: nextSort(search.sort, field), loading: false });
+
+      if (search.results) {
+        this.loadSearchPage(1);
       }
     });
 
     // Item selection
     this.eventBus.on(EventTypes.SEARCH_ITEM_SELECTED, (event) => {
       if (event?.item) {
+        // Run diff rows are slim snapshots; open the full result when it's loaded
+        const number = event.item.publication_number;
+        const loaded = [...this.sessionState.getLoadedResults(), ...(this.sessionState.getAllResults() || [])]
+          .find(item => item.publication_number === number);
         this.sessionState.updateSearchState({
-          active_item: event.item
+          active_item: loaded || event.item
         });
       }
     });
@@ -484,6 +683,197 @@ setupSearchHandlers() {
         active_item: null
       });
     });
+
+    this.eventBus.on(EventTypes.SEARCH_ITEM_NEXT, () => this.moveActiveItem(1));
+    this.eventBus.on(EventTypes.SEARCH_ITEM_PREV, () => this.moveActiveItem(-1));
+  }
+
+  // Step the sidebar through the results, loading the next or previous page
+  // when the active item is at either end of the current one
+  async moveActiveItem(step) {
+    const search = this.sessionState.get().search;
+    const items = search.results || [];
+    if (!items.length || search.loading) return;
+
+    const activeNumber = search.active_item?.publication_number;
+    const index = activeNumber ? items.findIndex(item => item.publication_number === activeNumber) : -1;
+
+    // Nothing open on this page yet: start from its first or last row
+    if (index === -1) {
+      this.sessionState.updateSearchState({ active_item: step > 0 ? items[0] : items[items.length - 1] });
+      return;
+    }
+
+    const nextIndex = index + step;
+    if (nextIndex >= 0 && nextIndex < items.length) {
+      this.sessionState.updateSearchState({ active_item: items[nextIndex] });
+      return;
+    }
+
+    const page = search.current_page + step;
+    if (page < 1 || page > search.total_pages) return;
+
+    await this.loadSearchPage(page);
+    const loaded = this.sessionState.get().search;
+    // The page failed to load or another navigation took over
+    if (loaded.current_page !== page || !loaded.results?.length) return;
+    this.sessionState.updateSearchState({
+      active_item: step > 0 ? loaded.results[0] : loaded.results[loaded.results.length - 1]
+    });
+  }
+
+  // Show a page of the current search, fetching it unless it's already cached.
+  // Page fetches reuse the query of the last run, so edits made since then
+  // don't leak into the results being browsed.
+  async loadSearchPage(page) {
+    const search = this.sessionState.get().search;
+    if (page < 1 || (search.total_pages && page > search.total_pages)) return;
+
+    if (search.refinement) {
+      return this.loadRefinedPage(page);
+    }
+
+    const cached = this.sessionState.pageCache.get(page);
+    if (cached) {
+      this.searchPageRequest = null;
+      this.sessionState.updateSearchState({ results: cached, current_page: page, loading: false });
+      this.eventBus.emit(EventTypes.SEARCH_PAGE_LOADED, { page, results: cached });
+      return;
+    }
+
+    const request = { page };
+    this.searchPageRequest = request;
+    this.sessionState.updateSearchState({ loading: true });
+
+    try {
+      const searchInput = search.query || this.sessionState.generateSearchInput();
+      const { results, total, totalIsEstimate } = await this.apiService.executeSearch(searchInput, {
+        page,
+        pageSize: search.items_per_page,
+        sort: search.sort
+      });
+
+      // A newer page request or search replaced this one while it was in flight
+      if (this.searchPageRequest !== request) return;
+
+      this.sessionState.pageCache.set(page, results);
+      this.sessionState.updateSearchState({
+        results,
+        total_results: total,
+        total_is_estimate: totalIsEstimate,
+        current_page: page,
+        loading: false
+      });
+      this.eventBus.emit(EventTypes.SEARCH_PAGE_LOADED, { page, results });
+    } catch (error) {
+      if (this.searchPageRequest !== request) return;
+      Logger.error(`Failed to load results page ${page}:`, error);
+      this.sessionState.updateSearchState({ loading: false });
+      alert(error.message || 'Failed to load results page. Please try again.');
+    } finally {
+      if (this.searchPageRequest === request) this.searchPageRequest = null;
+    }
+  }
+
+  // Refined pages are cut locally from the full result set, which is fetched
+  // once per search without counting against the free search quota
+  async loadRefinedPage(page) {
+    const request = { page };
+    this.searchPageRequest = request;
+    if (!this.sessionState.getAllResults()) {
+      this.sessionState.updateSearchState({ loading: true });
+    }
+
+    try {
+      const allResults = await this.getAllResults();
+      if (this.searchPageRequest !== request) return;
+
+      const search = this.sessionState.get().search;
+      const refined = refineResults(allResults, search.refinement);
+      const totalPages = Math.max(1, Math.ceil(refined.length / search.items_per_page));
+      const target = Math.min(page, totalPages);
+      const start = (target - 1) * search.items_per_page;
+      const results = refined.slice(start, start + search.items_per_page);
+
+      this.sessionState.updateSearchState({
+        results,
+        refined_total: refined.length,
+        current_page: target,
+        loading: false
+      });
+      this.eventBus.emit(EventTypes.SEARCH_PAGE_LOADED, { page: target, results });
+    } catch (error) {
+      if (this.searchPageRequest !== request) return;
+      Logger.error('Failed to refine results:', error);
+      this.sessionState.updateSearchState({ loading: false });
+      alert(error.message || 'Failed to refine results. Please try again.');
+    } finally {
+      if (this.searchPageRequest === request) this.searchPageRequest = null;
+    }
+  }
+
+  // Callers asking for the same search while it is being fetched share one request
+  async getAllResults() {
+    const cached = this.sessionState.getAllResults();
+    if (cached) return cached;
+
+    const search = this.sessionState.get().search;
+    const searchInput = search.query || this.sessionState.generateSearchInput();
+    const key = JSON.stringify([searchInput, search.sort]);
+    if (this.allResultsRequest?.key !== key) {
+      const promise = this.apiService.fetchAllResults(searchInput, { sort: search.sort })
+        .then(({ results, total }) => {
+          if (results.length < total) {
+            Logger.warn(`Only the first ${results.length} of ${total} results were fetched`);
+          }
+          // Don't cache it over a search or sort that replaced this one meanwhile
+          const current = this.sessionState.get().search;
+          if (JSON.stringify([current.query || searchInput, current.sort]) === key) {
+            this.sessionState.setAllResults(results, total);
+          }
+          return results;
+        })
+        .finally(() => {
+          if (this.allResultsRequest?.promise === promise) this.allResultsRequest = null;
+        });
+      this.allResultsRequest = { key, promise };
+    }
+    return this.allResultsRequest.promise;
+  }
+
+  // Top results for a new run's snapshot; the first page is reused when it
+  // already covers them (page fetches don't use search quota)
+  async fetchRunResults(searchInput, sort, firstPage, total) {
+    if (firstPage.length >= Math.min(total, RUN_DIFF_LIMIT)) {
+      return firstPage.slice(0, RUN_DIFF_LIMIT);
+    }
+    try {
+      const { results } = await this.apiService.fetchAllResults(searchInput, {
+        sort,
+        pageSize: RUN_DIFF_LIMIT,
+        limit: RUN_DIFF_LIMIT
+      });
+      return results;
+    } catch (error) {
+      Logger.error('Failed to fetch the top results for the run snapshot:', error);
+      return firstPage;
+    }
+  }
+
+  // Runs keep slim rows for their top RUN_DIFF_LIMIT results. Runs saved with fewer
+  // (older sessions, or a failed snapshot fetch) are fetched again.
+  async getRunResults(run) {
+    if (run.results.length >= Math.min(run.total, RUN_DIFF_LIMIT) || !run.searchInput) {
+      return run.results.slice(0, RUN_DIFF_LIMIT);
+    }
+    if (!this.runResultsCache.has(run.id)) {
+      const { results } = await this.apiService.fetchAllResults(run.searchInput, {
+        sort: run.sort,
+        limit: RUN_DIFF_LIMIT
+      });
+      this.runResultsCache.set(run.id, results);
+    }
+    return this.runResultsCache.get(run.id);
   }
 
   setupKeywordHandlers() {
@@ -504,29 +894,50 @@ setupSearchHandlers() {
         }
         
         if (!description) throw new Error("No content available for keyword generation");
-        const keywords = await this.apiService.generateKeywords(description);
+        const rawBlocks = await this.apiService.generateConceptBlocks(description);
         
         if (!this.sessionState.get().filters.some(f => f.name === "keywords-include")) {
           this.eventBus.emit(EventTypes.FILTER_ADDED, { filterName: "keywords-include" });
         }
         
-        this.updateFilter("keywords-include", filter => {
+        // Each generated concept becomes its own block next to any existing ones
+        let conceptBlocks = [];
+        this.updateFilter("keywords-concepts", filter => {
           const current = Array.isArray(filter.value) ? filter.value : [];
-          filter.value = Array.from(new Set([...current, ...keywords]));
+          conceptBlocks = normalizeConceptBlocks(rawBlocks, current.length);
+          filter.value = [...current, ...conceptBlocks];
         });
         
-        this.eventBus.emit(EventTypes.KEYWORDS_GENERATE_COMPLETED, { keywords });
+        this.eventBus.emit(EventTypes.KEYWORDS_GENERATE_COMPLETED, {
+          keywords: flattenConceptKeywords(conceptBlocks),
+          conceptBlocks
+        });
       } catch (error) {
         Logger.error("Failed to generate keywords:", error);
         alert(error.message || "Failed to generate keywords");
       }
     });
 
-    // Additional keywords generation
-    this.eventBus.on(EventTypes.KEYWORDS_ADDITIONAL_GENERATE_INITIATED, async () => {
+    // Additional keywords generation. With a blockId the new keywords are
+    // synonyms for that concept block; without one they go to the include list.
+    this.eventBus.on(EventTypes.KEYWORDS_ADDITIONAL_GENERATE_INITIATED, async ({ blockId = null } = {}) => {
       const state = this.sessionState.get();
       const keywordsFilter = state.filters.find(f => f.name === "keywords-include");
       const currentKeywords = Array.isArray(keywordsFilter?.value) ? keywordsFilter.value : [];
+      const conceptsFilter = state.filters.find(f => f.name === "keywords-concepts");
+      const block = blockId && Array.isArray(conceptsFilter?.value)
+        ? conceptsFilter.value.find(b => b.id === blockId)
+        : null;
+      if (blockId && !block) return;
+
+      const knownKeywords = Array.from(new Set([
+        ...currentKeywords,
+        ...flattenConceptKeywords(conceptsFilter?.value)
+      ]));
+      const generateBtn = block
+        ? document.querySelector(`[data-concept-block-id="${blockId}"] [data-concept-block="generate"]`)
+        : null;
+      if (generateBtn) generateBtn.disabled = true;
       
       let description = "";
       try {
@@ -541,22 +952,48 @@ setupSearchHandlers() {
           description = state.method.description.value || "";
         }
         
-        const keywords = await this.apiService.generateAdditionalKeywords(
-          currentKeywords,
+        const feedback = collectFeedback(state.annotations);
+        const { keywords, excludeKeywords } = await this.apiService.generateAdditionalKeywords(
+          // A block's own keywords steer the API towards that concept
+          block ? block.keywords : knownKeywords,
           description,
-          state.method.selected
+          state.method.selected,
+          feedback
         );
         
-        if (Array.isArray(keywords) && keywords.length > 0) {
+        if (block) {
+          const added = (Array.isArray(keywords) ? keywords : [])
+            .filter(keyword => !knownKeywords.includes(keyword));
+          if (added.length) {
+            this.updateFilter("keywords-concepts", filter => {
+              filter.value = addKeywordsToBlock(filter.value, blockId, added);
+            });
+            this.eventBus.emit(EventTypes.KEYWORDS_GENERATE_COMPLETED, { keywords: added, blockId });
+          }
+        } else if (Array.isArray(keywords) && keywords.length > 0) {
           this.updateFilter("keywords-include", filter => {
             filter.value = Array.from(new Set([...currentKeywords, ...keywords]));
           });
           
           this.eventBus.emit(EventTypes.KEYWORDS_GENERATE_COMPLETED, { keywords });
         }
+
+        // Offer exclude keywords from the irrelevant examples, not applied until picked
+        if (feedback.negative.length) {
+          const excludeFilter = state.filters.find(f => f.name === "keywords-exclude");
+          const excluded = Array.isArray(excludeFilter?.value) ? excludeFilter.value : [];
+          const suggestions = (excludeKeywords.length
+            ? excludeKeywords
+            : suggestExcludeKeywords(feedback, { description, keywords: [...knownKeywords, ...keywords] })
+          ).filter(keyword => !excluded.includes(keyword));
+
+          this.eventBus.emit(EventTypes.KEYWORDS_EXCLUDE_SUGGESTED, { keywords: suggestions });
+        }
       } catch (error) {
         Logger.error("Failed to generate additional keywords:", error);
         alert(error.message || "Failed to generate additional keywords");
+      } finally {
+        if (generateBtn) generateBtn.disabled = false;
       }
     });
 
@@ -599,6 +1036,74 @@ setupSearchHandlers() {
         }
       });
     });
+
+    // Boolean keyword groups
+    this.eventBus.on(EventTypes.BOOLEAN_NODE_ADDED, ({ parentId, node }) => {
+      if (!node) return;
+      if (node.type === 'term' && !node.value?.trim()) return;
+      this.updateFilter("keywords-boolean", filter => {
+        const newNode = node.type === 'group'
+          ? createGroup(node.operator, node.negate)
+          : createTerm(node.value, node.negate);
+        filter.value = addNode(filter.value, parentId, newNode);
+      });
+    });
+
+    this.eventBus.on(EventTypes.BOOLEAN_NODE_REMOVED, ({ nodeId }) => {
+      if (!nodeId) return;
+      this.updateFilter("keywords-boolean", filter => {
+        filter.value = removeNode(filter.value, nodeId);
+      });
+    });
+
+    this.eventBus.on(EventTypes.BOOLEAN_NODE_UPDATED, ({ nodeId, changes }) => {
+      if (!nodeId || !changes) return;
+      this.updateFilter("keywords-boolean", filter => {
+        filter.value = updateNode(filter.value, nodeId, changes);
+      });
+    });
+
+    // Concept blocks
+    this.eventBus.on(EventTypes.CONCEPT_BLOCK_ADDED, ({ name } = {}) => {
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = addConceptBlock(filter.value, name);
+      });
+    });
+
+    this.eventBus.on(EventTypes.CONCEPT_BLOCK_REMOVED, ({ blockId }) => {
+      if (!blockId) return;
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = removeConceptBlock(filter.value, blockId);
+      });
+    });
+
+    this.eventBus.on(EventTypes.CONCEPT_BLOCK_RENAMED, ({ blockId, name }) => {
+      if (!blockId || !name?.trim()) return;
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = renameConceptBlock(filter.value, blockId, name);
+      });
+    });
+
+    this.eventBus.on(EventTypes.CONCEPT_BLOCKS_MERGED, ({ blockIds, name }) => {
+      if (!Array.isArray(blockIds) || blockIds.length < 2) return;
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = mergeConceptBlocks(filter.value, blockIds, name);
+      });
+    });
+
+    this.eventBus.on(EventTypes.CONCEPT_KEYWORD_ADDED, ({ blockId, keyword }) => {
+      if (!blockId || !keyword) return;
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = addKeywordToBlock(filter.value, blockId, keyword);
+      });
+    });
+
+    this.eventBus.on(EventTypes.CONCEPT_KEYWORD_REMOVED, ({ blockId, item }) => {
+      if (!blockId || !item) return;
+      this.updateFilter("keywords-concepts", filter => {
+        filter.value = removeKeywordFromBlock(filter.value, blockId, item);
+      });
+    });
   }
 
   setupFilterHandlers() {
@@ -668,10 +1173,11 @@ setupSearchHandlers() {
     });
 
     // Date
-    this.eventBus.on(EventTypes.FILTER_UPDATED, ({ filterName, value }) => {
+    this.eventBus.on(EventTypes.FILTER_UPDATED, ({ filterName, value, type }) => {
       if (filterName === "date") {
         this.updateFilter("date", filter => {
           filter.value = value;
+          if (type) filter.type = type;
         });
       }
     });
@@ -687,6 +1193,46 @@ setupSearchHandlers() {
       }
     });
 
+    // Text query: replaces every filter the syntax covers in a single update
+    this.eventBus.on(EventTypes.QUERY_TEXT_SUBMITTED, ({ text }) => {
+      const { filters: parsed, errors } = parseQueryText(text);
+      if (errors.length) {
+        this.eventBus.emit(EventTypes.QUERY_TEXT_INVALID, { text, errors });
+        return;
+      }
+
+      const currentFilters = this.sessionState.get().filters;
+
+      // Concept blocks keep their ids while the text still names them
+      if (parsed["keywords-concepts"]) {
+        const blocks = currentFilters.find(f => f.name === "keywords-concepts")?.value || [];
+        parsed["keywords-concepts"] = parsed["keywords-concepts"].map(block => ({
+          ...block,
+          id: blocks.find(existing => existing.name === block.name)?.id || block.id
+        }));
+      }
+
+      let nextOrder = currentFilters.reduce((max, f) => Math.max(max, f.order ?? -1), -1) + 1;
+      const newFilters = currentFilters
+        .filter(f => !QUERY_TEXT_FILTERS.includes(f.name) || parsed[f.name])
+        .map(f => {
+          if (!parsed[f.name]) return f;
+          return f.name === "date"
+            ? { ...f, type: parsed.date.type, value: parsed.date.value }
+            : { ...f, value: parsed[f.name] };
+        });
+
+      QUERY_TEXT_FILTERS.forEach(name => {
+        if (!parsed[name] || newFilters.some(f => f.name === name)) return;
+        newFilters.push(name === "date"
+          ? { name, order: nextOrder++, type: parsed.date.type, value: parsed.date.value }
+          : { name, order: nextOrder++, value: parsed[name] });
+      });
+
+      this.sessionState.update("filters", newFilters);
+      this.eventBus.emit(EventTypes.QUERY_TEXT_APPLIED, { text });
+    });
+
     // Filter management
     this.eventBus.on(EventTypes.FILTER_ADDED, ({ filterName }) => {
       const currentFilters = this.sessionState.get().filters;
@@ -768,6 +1314,44 @@ setupSearchHandlers() {
       }
     });
 
+    // Use a result as the seed patent of a new search. Keyword generation is
+    // the same as for a seed entered by hand; excluded publications survive a
+    // filter reset since they record review decisions, not search terms.
+    // keepFilters keeps every filter but the concept blocks, which the seed's
+    // generated blocks replace so they don't pile up over similar searches
+    this.eventBus.on(EventTypes.SEARCH_SIMILAR_CONFIRMED, async ({ item, keepFilters }) => {
+      if (!item?.publication_number) return;
+
+      const loader = document.querySelector("#patent-loader");
+      try {
+        if (loader) loader.style.display = "";
+        const patentData = await this.getSeedPatentData(item);
+
+        const state = this.sessionState.get();
+        this.sessionState.updateMany({
+          library: "patents",
+          method: {
+            ...state.method,
+            selected: "patent",
+            patent: { data: patentData },
+            searchValue: patentData.abstract || "",
+            validated: true
+          },
+          filters: keepFilters
+            ? state.filters.map(f => f.name === "keywords-concepts" ? { ...f, value: [] } : f)
+            : state.filters.filter(f => f.name === EXCLUDE_FILTER)
+        });
+
+        this.eventBus.emit(EventTypes.SEARCH_ITEM_DESELECTED);
+        this.eventBus.emit(EventTypes.KEYWORDS_GENERATE_INITIATED);
+      } catch (error) {
+        Logger.error("Failed to start a similar search:", error);
+        alert(error.message || "Failed to start a similar search");
+      } finally {
+        if (loader) loader.style.display = "none";
+      }
+    });
+
     this.eventBus.on(EventTypes.PATENT_INFO_RECEIVED, ({ patentInfo }) => {
       const currentState = this.sessionState.get();
       this.sessionState.update("method", {
@@ -846,6 +1430,247 @@ setupSearchHandlers() {
     });
   }
 
+  setupHistoryHandlers() {
+    this.eventBus.on(EventTypes.HISTORY_UNDO, () => {
+      this.sessionState.undo();
+    });
+
+    this.eventBus.on(EventTypes.HISTORY_REDO, () => {
+      this.sessionState.redo();
+    });
+  }
+
+  setupSelectionHandlers() {
+    this.eventBus.on(EventTypes.RESULT_SELECTION_TOGGLED, ({ publicationNumber }) => {
+      if (!publicationNumber) return;
+      const selected = this.sessionState.get().search.selected;
+      this.sessionState.updateSearchState({
+        selected: selected.includes(publicationNumber)
+          ? selected.filter(number => number !== publicationNumber)
+          : [...selected, publicationNumber]
+      });
+    });
+
+    this.eventBus.on(EventTypes.RESULT_SELECTION_CLEARED, () => {
+      this.sessionState.updateSearchState({ selected: [] });
+    });
+
+    // Shift-click ranges and the select-page checkbox set many rows at once
+    this.eventBus.on(EventTypes.RESULT_SELECTION_SET, ({ publicationNumbers, selected }) => {
+      const numbers = (publicationNumbers || []).filter(Boolean);
+      const current = this.sessionState.get().search.selected;
+      this.sessionState.updateSearchState({
+        selected: selected
+          ? Array.from(new Set([...current, ...numbers]))
+          : current.filter(number => !numbers.includes(number))
+      });
+    });
+
+    this.eventBus.on(EventTypes.RESULT_SELECTION_ALL_REQUESTED, async () => {
+      try {
+        const items = await this.getResultsForScope('all');
+        this.sessionState.updateSearchState({ selected: items.map(item => item.publication_number) });
+
+        const limit = this.describeScopeLimit(items, 'Selected');
+        if (limit) alert(limit);
+      } catch (error) {
+        Logger.error('Failed to select all results:', error);
+        alert(error.message || 'Failed to select all results. Please try again.');
+      }
+    });
+  }
+
+  // Bulk actions work on the selected rows, wherever they were selected
+  setupBulkActionHandlers() {
+    const withSelectedItems = (action, label) => async payload => {
+      try {
+        const items = await this.getResultsForScope('selected');
+        if (!items.length) return;
+        action(items, payload || {});
+      } catch (error) {
+        Logger.error(`Failed to ${label}:`, error);
+        alert(error.message || `Failed to ${label}. Please try again.`);
+      }
+    };
+
+    this.eventBus.on(EventTypes.RESULTS_BULK_TAGGED, withSelectedItems((items, { tag }) => {
+      const exclusiveWith = RELEVANCE_TAGS.includes(tag) ? RELEVANCE_TAGS : [];
+      const annotations = items.reduce(
+        (current, item) => addTag(current, item, tag, exclusiveWith),
+        this.sessionState.get().annotations
+      );
+      this.sessionState.update("annotations", annotations);
+    }, 'tag the selected results'));
+
+    this.eventBus.on(EventTypes.RESULTS_BULK_EXCLUDED, withSelectedItems(items => {
+      this.excludePublications(items);
+    }, 'exclude the selected results'));
+
+    this.eventBus.on(EventTypes.PUBLICATION_EXCLUDED, ({ item }) => {
+      if (item?.publication_number) this.excludePublications([item]);
+    });
+
+    this.eventBus.on(EventTypes.PUBLICATION_EXCLUSION_REMOVED, ({ item, clearAll }) => {
+      const filters = this.sessionState.get().filters;
+      if (clearAll) {
+        this.sessionState.update("filters", filters.filter(f => f.name !== EXCLUDE_FILTER));
+      } else if (item?.publication_number) {
+        this.sessionState.update("filters", removeExclusion(filters, item.publication_number));
+      }
+    });
+
+    this.eventBus.on(EventTypes.RESULTS_COLLECTION_ADDED, withSelectedItems((items, { name }) => {
+      this.sessionState.update("collections", addToCollection(this.sessionState.get().collections, name, items));
+    }, 'add the selected results to the collection'));
+
+    this.eventBus.on(EventTypes.COLLECTION_REMOVED, ({ collectionId }) => {
+      this.sessionState.update("collections", removeCollection(this.sessionState.get().collections, collectionId));
+    });
+  }
+
+  // Full patent record for a result, falling back to the result itself when
+  // the lookup fails (e.g. a TTO listing without a publication on file)
+  async getSeedPatentData(item) {
+    try {
+      const patentInfo = await this.apiService.getPatentInfo(item.publication_number);
+      if (patentInfo?.data) return patentInfo.data;
+    } catch (error) {
+      Logger.warn(`Patent lookup failed for ${item.publication_number}, using the result data:`, error);
+    }
+    if (!item.title && !item.abstract) {
+      throw new Error(`No patent data available for ${item.publication_number}`);
+    }
+    return {
+      ...item,
+      inventor: Array.isArray(item.inventors) ? item.inventors : item.inventors ? [item.inventors] : [],
+      assignee: Array.isArray(item.assignee) ? item.assignee : item.assignee ? [item.assignee] : []
+    };
+  }
+
+  // Excluded publications leave the selection too; one undo step restores both
+  excludePublications(items) {
+    const state = this.sessionState.get();
+    const numbers = items.map(item => item.publication_number);
+    this.sessionState.updateMany({
+      filters: addExclusions(state.filters, items),
+      "search.selected": state.search.selected.filter(number => !numbers.includes(number))
+    });
+  }
+
+  setupExportHandlers() {
+    this.eventBus.on(EventTypes.RESULTS_EXPORT_REQUESTED, async ({ format, scope }) => {
+      if (!EXPORT_FORMATS[format]) return;
+
+      try {
+        const items = await this.getResultsForScope(scope);
+        if (!items.length) {
+          alert('There are no results to export');
+          return;
+        }
+        exportResults(items, this.sessionState.getVisibleFields(), format);
+
+        const limit = scope === 'all' ? this.describeScopeLimit(items, 'Exported') : null;
+        if (limit) alert(limit);
+      } catch (error) {
+        Logger.error('Export failed:', error);
+        alert(error.message || 'Export failed. Please try again.');
+      }
+    });
+  }
+
+  setupReportHandlers() {
+    this.eventBus.on(EventTypes.REPORT_REQUESTED, async () => {
+      const state = this.sessionState.get();
+      if (!state.search.results) {
+        alert('Run a search before generating a report');
+        return;
+      }
+
+      const reportWindow = openReportWindow();
+      if (!reportWindow) {
+        alert('Allow pop-ups for this site to open the report');
+        return;
+      }
+
+      try {
+        const items = await this.getResultsForScope('all');
+        const current = this.sessionState.get();
+        const run = findRun(current.runs, current.search.run_id);
+        // Describe what the results were searched with, even if filters changed since
+        const reportState = run
+          ? { ...current, library: run.library, method: run.method, filters: run.filters }
+          : current;
+        const searchInput = current.search.query || this.sessionState.generateSearchInput();
+
+        showReport(reportWindow, buildSearchReport(reportState, { searchInput, items, run }));
+      } catch (error) {
+        reportWindow.close();
+        Logger.error('Report generation failed:', error);
+        alert(error.message || 'Failed to generate the report. Please try again.');
+      }
+    });
+  }
+
+  // 'page', 'selected' or 'all' results (the refined subset while refining)
+  // Message for an "all" scope that stopped at the fetch cap, or null. A
+  // refinement searched only the capped results, so its matches are partial too.
+  describeScopeLimit(items, action) {
+    const { total_results, refinement } = this.sessionState.get().search;
+    if (!refinement) {
+      return items.length < total_results
+        ? `${action} the first ${items.length} of ${total_results} results`
+        : null;
+    }
+    if (!this.sessionState.isAllResultsCapped()) return null;
+    const searched = this.sessionState.getAllResults().length;
+    return `${action} ${items.length} matches from the first ${searched} of ${total_results} results; `
+      + 'the rest were not searched';
+  }
+
+  async getResultsForScope(scope) {
+    const search = this.sessionState.get().search;
+    if (!search.results) return [];
+
+    if (scope === 'page') {
+      return this.sessionState.getSearchPageItems();
+    }
+
+    if (scope === 'selected') {
+      const byNumber = new Map(
+        [...(this.sessionState.getAllResults() || []), ...this.sessionState.getLoadedResults()]
+          .map(item => [item.publication_number, item])
+      );
+      // Selections on pages not fetched this visit need the full list
+      if (search.selected.some(number => !byNumber.has(number))) {
+        (await this.getAllResults()).forEach(item => byNumber.set(item.publication_number, item));
+      }
+      return search.selected.map(number => byNumber.get(number)).filter(Boolean);
+    }
+
+    const allResults = await this.getAllResults();
+    return search.refinement ? refineResults(allResults, search.refinement) : allResults;
+  }
+
+  setupAnnotationHandlers() {
+    const updateAnnotations = updateFn => {
+      this.sessionState.update("annotations", updateFn(this.sessionState.get().annotations));
+    };
+
+    this.eventBus.on(EventTypes.RESULT_STAR_TOGGLED, ({ item }) => {
+      updateAnnotations(annotations => toggleStar(annotations, item));
+    });
+
+    // A result is either relevant or not relevant, never both
+    this.eventBus.on(EventTypes.RESULT_TAG_TOGGLED, ({ item, tag }) => {
+      const exclusiveWith = RELEVANCE_TAGS.includes(tag) ? RELEVANCE_TAGS : [];
+      updateAnnotations(annotations => toggleTag(annotations, item, tag, exclusiveWith));
+    });
+
+    this.eventBus.on(EventTypes.RESULT_NOTE_UPDATED, ({ item, note }) => {
+      updateAnnotations(annotations => setNote(annotations, item, note));
+    });
+  }
+
   
 }
 
@@ -0,0 +1,65 @@
+// searchPageCache.js
+// In-memory cache of result pages fetched from the search API. Only the page on
+// screen is kept in SessionState (and saved with the session); everything else
+// browsed during this visit lives here until a new search, sort or page size
+// clears it.
+
+const MAX_CACHED_PAGES = 50;
+
+export default class SearchPageCache {
+  constructor(maxPages = MAX_CACHED_PAGES) {
+    this.maxPages = maxPages;
+    this.pages = new Map();
+    // Whole result set, when something needed all of it at once. It is capped,
+    // so allTotal can be larger than allResults.length.
+    this.allResults = null;
+    this.allTotal = 0;
+  }
+
+  has(page) {
+    return this.pages.has(page);
+  }
+
+  get(page) {
+    if (!this.pages.has(page)) return null;
+    // Re-insert so the least recently viewed page is evicted first
+    const items = this.pages.get(page);
+    this.pages.delete(page);
+    this.pages.set(page, items);
+    return items;
+  }
+
+  set(page, items) {
+    this.pages.delete(page);
+    this.pages.set(page, Array.isArray(items) ? items : []);
+    while (this.pages.size > this.maxPages) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.pages.clear();
+    this.allResults = null;
+    this.allTotal = 0;
+  }
+
+  getAll() {
+    return this.allResults;
+  }
+
+  getAllTotal() {
+    return this.allTotal;
+  }
+
+  setAll(items, total = null) {
+    this.allResults = Array.isArray(items) ? items : [];
+    this.allTotal = Math.max(total ?? 0, this.allResults.length);
+  }
+
+  // Every cached result in page order
+  getLoadedItems() {
+    return Array.from(this.pages.keys())
+      .sort((a, b) => a - b)
+      .flatMap(page => this.pages.get(page));
+  }
+}
@@ -0,0 +1,189 @@
+// searchReport.js
+// Print-ready HTML report of a search: the strategy (library, method, filters,
+// search input) and the results with their annotations. Every value is
+// escaped, since titles and abstracts come straight from the API.
+import { toQueryString } from "./booleanQuery.js";
+import { getAnnotation } from "./resultAnnotations.js";
+
+const FILTER_LABELS = {
+  'keywords-include': 'Keywords',
+  'keywords-exclude': 'Excluded keywords',
+  'keywords-boolean': 'Boolean query',
+  'keywords-concepts': 'Concept blocks',
+  'code': 'CPC codes',
+  'inventor': 'Inventors',
+  'assignee': 'Assignees',
+  'date': 'Date range',
+  'publication-exclude': 'Excluded publications'
+};
+
+const LIBRARY_LABELS = {
+  patents: 'Patents',
+  tto: 'Technology transfer offices'
+};
+
+const METHOD_LABELS = {
+  basic: 'Basic (filters only)',
+  descriptive: 'Description',
+  patent: 'Seed patent'
+};
+
+const REPORT_STYLES = `
+  body { font-family: Georgia, serif; color: #111; margin: 2rem; font-size: 11pt; }
+  h1 { font-size: 18pt; margin-bottom: 0.25rem; }
+  h2 { font-size: 13pt; border-bottom: 1px solid #999; padding-bottom: 0.2rem; margin-top: 1.5rem; }
+  .meta { color: #555; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.3rem 1rem; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  pre { white-space: pre-wrap; font-size: 9pt; background: #f5f5f5; padding: 0.5rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+  th, td { border: 1px solid #bbb; padding: 0.3rem; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  tr { page-break-inside: avoid; }
+  .abstract { color: #444; font-size: 8.5pt; }
+  @media print { body { margin: 0; } .no-print { display: none; } }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function joinList(value) {
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+}
+
+export function formatFilterValue(filter) {
+  const value = filter.value;
+  switch (filter.name) {
+    case 'keywords-boolean':
+      return toQueryString(value);
+    case 'keywords-concepts':
+      return (value || []).map(block => `${block.name}: ${block.keywords.join(' OR ')}`).join('\n');
+    case 'inventor':
+      return (value || []).map(inventor => `${inventor.first_name} ${inventor.last_name}`).join(', ');
+    case 'publication-exclude':
+      return (value || []).map(entry => entry.publication_number).join(', ');
+    case 'date': {
+      if (!value || (!value.date_from && !value.date_to)) return '';
+      const type = (filter.type?.split('*')[0] || 'priority');
+      return `${type} date ${value.date_from || '…'} to ${value.date_to || '…'}`;
+    }
+    default:
+      return joinList(value);
+  }
+}
+
+function renderStrategy(state) {
+  const method = state.method || {};
+  const rows = [
+    ['Library', LIBRARY_LABELS[state.library] || state.library || '—'],
+    ['Method', METHOD_LABELS[method.selected] || method.selected || '—']
+  ];
+
+  if (method.selected === 'descriptive') {
+    rows.push(['Description', method.description?.value || '']);
+  } else if (method.selected === 'patent') {
+    const patent = method.patent?.data || {};
+    rows.push(['Seed patent', [patent.publication_number, patent.title].filter(Boolean).join(' — ')]);
+  }
+
+  (state.filters || [])
+    .slice()
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+    .forEach(filter => {
+      const text = formatFilterValue(filter);
+      if (text) rows.push([FILTER_LABELS[filter.name] || filter.name, text]);
+    });
+
+  return `<dl>${rows.map(([label, value]) =>
+    `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value).replace(/\n/g, '<br>')}</dd>`
+  ).join('')}</dl>`;
+}
+
+function renderAnnotation(annotation) {
+  return [
+    annotation.starred ? '★' : '',
+    annotation.tags.join(', '),
+    annotation.note
+  ].filter(Boolean).map(escapeHtml).join('<br>');
+}
+
+function renderResults(items, state) {
+  const rows = items.map((item, index) => {
+    const date = item.priority_date || item.filing_date || item.publication_date || item.grant_date || '';
+    return `<tr>
+      <td>${index + 1}</td>
+      <td>${escapeHtml(item.publication_number)}</td>
+      <td>${escapeHtml(item.title)}<div class="abstract">${escapeHtml(item.abstract)}</div></td>
+      <td>${escapeHtml(joinList(item.assignee))}</td>
+      <td>${escapeHtml(date)}</td>
+      <td>${renderAnnotation(getAnnotation(state.annotations, item.publication_number))}</td>
+    </tr>`;
+  }).join('');
+
+  return `<table>
+    <thead><tr><th>#</th><th>Number</th><th>Title / abstract</th><th>Assignee</th><th>Date</th><th>Review</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>`;
+}
+
+// run: the state.runs entry the results belong to, if any
+export function buildSearchReport(state, { searchInput, items, run = null }) {
+  const search = state.search || {};
+  const runDate = run ? new Date(run.timestamp).toLocaleString() : '—';
+  const countText = search.refinement
+    ? `${search.refined_total ?? items.length} of ${search.total_results} (refined by "${search.refinement}")`
+    : `${search.total_results}`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Patent search report</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>Patent search report</h1>
+  <div class="meta">Generated ${escapeHtml(new Date().toLocaleString())}</div>
+
+  <h2>Search strategy</h2>
+  ${renderStrategy(state)}
+
+  <h2>Search input</h2>
+  <pre>${escapeHtml(JSON.stringify(searchInput, null, 2))}</pre>
+
+  <h2>Results</h2>
+  <dl>
+    <dt>Run date</dt><dd>${escapeHtml(runDate)}</dd>
+    <dt>Result count</dt><dd>${escapeHtml(countText)}</dd>
+    ${items.length < (search.refinement ? (search.refined_total ?? items.length) : search.total_results)
+      ? `<dt>Listed</dt><dd>First ${items.length}</dd>` : ''}
+  </dl>
+  ${renderResults(items, state)}
+</body>
+</html>`;
+}
+
+// Opened before results are gathered so the popup isn't blocked after an await
+export function openReportWindow() {
+  const reportWindow = window.open('', '_blank');
+  if (reportWindow) {
+    reportWindow.document.write('<p style="font-family: sans-serif">Preparing report...</p>');
+  }
+  return reportWindow;
+}
+
+export function showReport(reportWindow, html) {
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+  // Let the table lay out before the print dialog opens
+  setTimeout(() => reportWindow.print(), 250);
+}
@@ -2,12 +2,36 @@
 import { Logger } from "./logger.js";
 import { EventTypes } from "./eventTypes.js";
 import EventBus from "./eventBus.js";
+import { PAGE_SIZE_OPTIONS } from "./sessionState.js";
+import { getAnnotation } from "./resultAnnotations.js";
+import { RELEVANT_TAG, IRRELEVANT_TAG } from "./relevanceFeedback.js";
+import { EXPORT_FORMATS, EXPORT_SCOPES } from "./resultExport.js";
+import { groupByFamily, normalizePublicationNumber } from "./resultFamilies.js";
+import { getExcludedPublications } from "./publicationExclusions.js";
+import { findRun } from "./searchRuns.js";
+import { getHighlightTerms, highlightText, htmlToText } from "./highlight.js";
+import { ClaimsViewer } from "./claimsViewer.js";
+
+const EXPORT_SCOPE_LABELS = {
+  all: 'All results',
+  page: 'Current page',
+  selected: 'Selected rows'
+};
 
 export class SearchResultManager {
   constructor(eventBus) {
     this.eventBus = eventBus;
+    // Family groups opened in the grouped view, by family key
+    this.expandedFamilies = new Set();
+    this.claimsViewer = new ClaimsViewer();
+    // Last row clicked without shift, where shift-click ranges start
+    this.selectionAnchor = null;
+    // Result shown in the sidebar, for the sidebar's own action buttons
+    this.sidebarItem = null;
   }
- updateSearchResultsDisplay(state) {
+ // familyPool: { results, total } to group families across, see renderFamilyGroups()
+ // refinedSample: how many leading hits a refinement searched when that is not all of them
+ updateSearchResultsDisplay(state, { familyPool = null, refinedSample = null } = {}) {
     const resultBox = document.querySelector('#search-result-box');
     if (!resultBox) return;
 
@@ -22,9 +46,9 @@ export class SearchResultManager {
       searchButton.disabled = false;
     }
 
-    // Show/hide loaders
+    // Loaders stay visible while a results page is being fetched
     document.querySelectorAll('[data-loader="patent-results"]').forEach(loader => {
-      loader.style.display = 'none'; // Initially hide loaders
+      loader.style.display = state.search?.loading ? '' : 'none';
     });
 
     // Show/hide reload warning
@@ -37,14 +61,19 @@ export class SearchResultManager {
 
     // Render results if available
     if (state.searchRan && state.search?.results) {
-      this.renderSearchResults(state);
-      this.updatePagination(state);
+      this.renderSearchResults(state, familyPool);
+      this.updatePagination(state, { familyPool, refinedSample });
+      this.updateSortHeaders(state);
     }
   }
 
   setupSearchEventListeners() {
     this.setupSearchButton();
     this.setupPaginationButtons();
+    this.setupSortHeaders();
+    this.setupRefineInput();
+    this.setupExportMenu();
+    this.setupFamilyGroupingToggle();
     this.setupPatentSidebar();
     this.setupReloadTrigger();
     this.initializeTableScroll();
@@ -203,9 +232,19 @@ initializeTableScroll() {
     return text.substr(0, limit).trim() + '...';
   }
 
-  createSearchResultRow(template, item) {
+  // Terms of the search that produced the results, falling back to the
+  // current filters when the run is no longer in the history
+  getHighlightTerms(state) {
+    const run = findRun(state.runs, state.search?.run_id);
+    return run
+      ? getHighlightTerms(run.filters, run.method)
+      : getHighlightTerms(state.filters, state.method);
+  }
+
+  createSearchResultRow(template, item, terms = null) {
     const newRow = template.cloneNode(true);
     newRow.style.display = '';
+    newRow.dataset.publicationNumber = item.publication_number || '';
 
     const fieldMappings = {
       'patentNumberText': 'publication_number',
@@ -213,7 +252,7 @@ initializeTableScroll() {
       'assigneeText': item.assignee ? Array.isArray(item.assignee) ? item.assignee.join(', ') : item.assignee : '',
       'inventorText': item.inventors ? Array.isArray(item.inventors) ? item.inventors.join(', ') : item.inventors : '',
       'abstractText': this.truncateText(item.abstract),
-      'claimText': item.claims ? this.truncateText(item.claims) : '',
+      'claimText': item.claims ? this.truncateText(htmlToText(item.claims)) : '',
       'descriptionText': 'description',
       'grantDateText': 'grant_date',
       'priorityDateText': 'priority_date',
@@ -228,8 +267,8 @@ initializeTableScroll() {
     Object.entries(fieldMappings).forEach(([uiAttr, dataField]) => {
       const el = newRow.querySelector(`[data-attribute="table_contentCell_${uiAttr}"]`);
       if (el) {
-        if (uiAttr === 'claimText' && item.claims) {
-          el.innerHTML = this.truncateText(item.claims);
+        if (uiAttr === 'titleText' || uiAttr === 'abstractText' || uiAttr === 'claimText') {
+          highlightText(el, uiAttr === 'titleText' ? (item.title || '') : dataField, terms);
         } else if (typeof dataField === 'string' && item[dataField]) {
           el.textContent = item[dataField];
         } else {
@@ -238,6 +277,53 @@ initializeTableScroll() {
       }
     });
 
+    const selectBox = newRow.querySelector('[data-attribute="table_contentCell_select"]');
+    if (selectBox) {
+      selectBox.addEventListener('click', e => {
+        e.stopPropagation();
+        const range = e.shiftKey ? this.getSelectionRange(this.selectionAnchor, item.publication_number) : null;
+        if (range) {
+          // The range takes the state the clicked box just switched to
+          this.eventBus.emit(EventTypes.RESULT_SELECTION_SET, {
+            publicationNumbers: range,
+            selected: selectBox.checked
+          });
+        } else {
+          this.selectionAnchor = item.publication_number;
+          this.eventBus.emit(EventTypes.RESULT_SELECTION_TOGGLED, {
+            publicationNumber: item.publication_number
+          });
+        }
+      });
+    }
+
+    [
+      ['exclude', EventTypes.PUBLICATION_EXCLUDED],
+      ['searchSimilar', EventTypes.SEARCH_SIMILAR_REQUESTED]
+    ].forEach(([uiAttr, eventType]) => {
+      const button = newRow.querySelector(`[data-attribute="table_contentCell_${uiAttr}"]`);
+      if (!button) return;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.eventBus.emit(eventType, { item });
+      });
+    });
+
+    // Relevance feedback buttons, without opening the sidebar
+    [
+      ['markRelevant', RELEVANT_TAG],
+      ['markIrrelevant', IRRELEVANT_TAG]
+    ].forEach(([uiAttr, tag]) => {
+      const button = newRow.querySelector(`[data-attribute="table_contentCell_${uiAttr}"]`);
+      if (!button) return;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.eventBus.emit(EventTypes.RESULT_TAG_TOGGLED, { item, tag });
+      });
+    });
+
     // Add click handler for row selection
     newRow.addEventListener('click', () => {
       if (this.eventBus) {
@@ -250,7 +336,9 @@ initializeTableScroll() {
     return newRow;
   }
 
-  showSidebar(sidebar, activeItem) {
+  showSidebar(sidebar, activeItem, terms = null) {
+    this.sidebarItem = activeItem;
+    const highlightedFields = ['title', 'abstract'];
     const sidebarFields = {
       'title': activeItem.title || '',
       'abstract': activeItem.abstract || '',
@@ -270,7 +358,9 @@ initializeTableScroll() {
       const el = sidebar.querySelector(`[sidebar-info="${field}"]`);
       if (el) {
         if (field === 'claims') {
-          el.innerHTML = value; // Use innerHTML for claims to preserve HTML formatting
+          this.claimsViewer.render(el, value, terms);
+        } else if (highlightedFields.includes(field)) {
+          highlightText(el, value, terms);
         } else {
           el.textContent = value;
         }
@@ -294,7 +384,7 @@ initializeTableScroll() {
   }
 
   // Search results rendering
-  renderSearchResults(state) {
+  renderSearchResults(state, familyPool = null) {
     const wrapper = document.querySelector('[data-attribute="table_contentCell_wrapper"]');
     if (!wrapper) return;
 
@@ -308,30 +398,252 @@ initializeTableScroll() {
       .slice(1)
       .forEach(child => child.remove());
 
-    // Calculate pagination slice
-    const start = (state.search.current_page - 1) * state.search.items_per_page;
-    const end = start + state.search.items_per_page;
-    const items = state.search.results ? state.search.results.slice(start, end) : [];
+    // results holds only the current page
+    const items = state.search.results || [];
+    const terms = this.getHighlightTerms(state);
 
     // Create new result rows
-    items.forEach(item => {
-      const newRow = this.createSearchResultRow(template, item);
-      parent.appendChild(newRow);
+    if (state.search.group_families) {
+      this.renderFamilyGroups(template, parent, items, terms, familyPool?.results);
+    } else {
+      items.forEach(item => {
+        const newRow = this.createSearchResultRow(template, item, terms);
+        parent.appendChild(newRow);
+      });
+    }
+
+    this.updateRowMarkers(state);
+    this.updateExclusionMarkers(state);
+    this.updateSelectionDisplay(state);
+  }
+
+  // Rows excluded since the results were loaded stay until the next run
+  updateExclusionMarkers(state) {
+    const excluded = new Set(getExcludedPublications(state.filters)
+      .map(entry => normalizePublicationNumber(entry.publication_number)));
+    const isExcluded = number => excluded.has(normalizePublicationNumber(number));
+
+    this.getRenderedRows().forEach(row => {
+      const rowExcluded = isExcluded(row.dataset.publicationNumber);
+      row.classList.toggle('is-excluded', rowExcluded);
+      const excludeBtn = row.querySelector('[data-attribute="table_contentCell_exclude"]');
+      if (excludeBtn) excludeBtn.disabled = rowExcluded;
+    });
+
+    const sidebarBtn = document.querySelector('#sidebar-exclude-publication');
+    if (sidebarBtn) {
+      const activeNumber = state.search?.active_item?.publication_number;
+      sidebarBtn.disabled = !!activeNumber && isExcluded(activeNumber);
+    }
+  }
+
+  // Publication numbers of the rows on screen between two rows, inclusive
+  getSelectionRange(fromNumber, toNumber) {
+    const numbers = this.getRenderedRows().map(row => row.dataset.publicationNumber);
+    const from = numbers.indexOf(fromNumber);
+    const to = numbers.indexOf(toNumber);
+    if (from === -1 || to === -1) return null;
+    return numbers.slice(Math.min(from, to), Math.max(from, to) + 1);
+  }
+
+  getRenderedRows() {
+    return Array.from(document.querySelectorAll('[data-attribute="table_contentCell_wrapper"][data-publication-number]'))
+      .filter(row => row.dataset.publicationNumber);
+  }
+
+  updateSelectionDisplay(state) {
+    const selected = state.search?.selected || [];
+
+    const pageNumbers = (state.search?.results || []).map(item => item.publication_number);
+    const selectedOnPage = pageNumbers.filter(number => selected.includes(number)).length;
+    const selectPageBox = document.querySelector('#select-page-results');
+    if (selectPageBox) {
+      selectPageBox.checked = !!pageNumbers.length && selectedOnPage === pageNumbers.length;
+      selectPageBox.indeterminate = selectedOnPage > 0 && selectedOnPage < pageNumbers.length;
+    }
+
+    document.querySelectorAll('[data-attribute="table_contentCell_wrapper"][data-publication-number]').forEach(row => {
+      const isSelected = selected.includes(row.dataset.publicationNumber);
+      row.classList.toggle('is-selected', isSelected);
+      const selectBox = row.querySelector('[data-attribute="table_contentCell_select"]');
+      if (selectBox) selectBox.checked = isSelected;
+    });
+
+    const selectedCountEl = document.querySelector('[result-count="selected"]');
+    if (selectedCountEl) selectedCountEl.textContent = selected.length;
+
+    const scopeSelect = document.querySelector('#export-scope');
+    const selectedOption = scopeSelect?.querySelector('option[value="selected"]');
+    if (selectedOption) {
+      selectedOption.disabled = !selected.length;
+      if (!selected.length && scopeSelect.value === 'selected') scopeSelect.value = 'all';
+    }
+  }
+
+  // One row per family; other members sit hidden below it. With the whole
+  // result set in pool, a family shows once, on the page of its best-ranked
+  // member, with members from every page; its other rows are left out.
+  // Without it, families are grouped within the page.
+  renderFamilyGroups(template, parent, items, terms = null, pool = null) {
+    const families = new Map(groupByFamily(pool).map(group => [group.key, group]));
+    const pageNumbers = new Set(items.map(item => item.publication_number));
+    const groups = groupByFamily(items)
+      .map(group => families.get(group.key) || group)
+      .filter(group => pageNumbers.has(group.representative.publication_number));
+
+    groups.forEach(group => {
+      const expanded = this.expandedFamilies.has(group.key);
+      const mainRow = this.createSearchResultRow(template, group.representative, terms);
+      mainRow.dataset.familyKey = group.key;
+      parent.appendChild(mainRow);
+
+      if (group.members.length < 2) return;
+      mainRow.classList.add('has-family');
+
+      const memberRows = group.members.slice(1).map(member => {
+        const memberRow = this.createSearchResultRow(template, member, terms);
+        memberRow.classList.add('is-family-member');
+        memberRow.dataset.familyKey = group.key;
+        memberRow.style.display = expanded ? '' : 'none';
+        parent.appendChild(memberRow);
+        return memberRow;
+      });
+
+      const toggle = this.getFamilyToggle(mainRow);
+      const updateToggle = isOpen => {
+        toggle.textContent = `${isOpen ? '▾' : '▸'} ${group.members.length} in family`;
+        toggle.setAttribute('aria-expanded', String(isOpen));
+      };
+      updateToggle(expanded);
+
+      toggle.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        const isOpen = !this.expandedFamilies.has(group.key);
+        if (isOpen) {
+          this.expandedFamilies.add(group.key);
+        } else {
+          this.expandedFamilies.delete(group.key);
+        }
+        memberRows.forEach(row => {
+          row.style.display = isOpen ? '' : 'none';
+        });
+        updateToggle(isOpen);
+      });
+    });
+  }
+
+  // De-duplicated family count shown next to the hit count while grouping.
+  // Counted over the fetched result set, which is capped, so it can be a lower
+  // bound ("340+") until every hit is loaded.
+  updateFamilyCount(state, familyPool) {
+    const grouping = !!state.search?.group_families;
+    document.querySelectorAll('[data-state="family-count"]').forEach(el => {
+      el.style.display = grouping ? '' : 'none';
+    });
+
+    const countEl = document.querySelector('[result-count="families"]');
+    if (!countEl || !grouping) return;
+
+    if (!state.search?.results?.length) {
+      countEl.textContent = '0';
+      countEl.title = '';
+      return;
+    }
+    if (!familyPool) {
+      countEl.textContent = '…';
+      countEl.title = 'Loading all results to count families';
+      return;
+    }
+    const count = groupByFamily(familyPool.results).length;
+    const partial = familyPool.results.length < familyPool.total;
+    countEl.textContent = partial ? `${count}+` : String(count);
+    countEl.title = partial
+      ? `${count} families in the first ${familyPool.results.length} of ${familyPool.total} results`
+      : `${count} families in ${familyPool.total} results`;
+  }
+
+  // Uses the template's family toggle cell if it has one
+  getFamilyToggle(row) {
+    const existing = row.querySelector('[data-attribute="table_contentCell_familyToggle"]');
+    if (existing) return existing;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'family-toggle';
+    const numberCell = row.querySelector('[data-attribute="table_contentCell_patentNumberText"]') || row;
+    numberCell.appendChild(toggle);
+    return toggle;
+  }
+
+  // Star/tag/note markers on the rendered rows
+  updateRowMarkers(state) {
+    document.querySelectorAll('[data-attribute="table_contentCell_wrapper"][data-publication-number]').forEach(row => {
+      const annotation = getAnnotation(state.annotations, row.dataset.publicationNumber);
+      row.classList.toggle('is-starred', annotation.starred);
+      row.classList.toggle('has-note', !!annotation.note);
+      row.dataset.tags = annotation.tags.join(',');
+
+      row.querySelector('[data-attribute="table_contentCell_markRelevant"]')
+        ?.classList.toggle('is-active', annotation.tags.includes(RELEVANT_TAG));
+      row.querySelector('[data-attribute="table_contentCell_markIrrelevant"]')
+        ?.classList.toggle('is-active', annotation.tags.includes(IRRELEVANT_TAG));
+
+      const marker = row.querySelector('[data-attribute="table_contentCell_annotationText"]');
+      if (marker) {
+        marker.textContent = [
+          annotation.starred ? '★' : '',
+          annotation.tags.join(', '),
+          annotation.note ? '✎' : ''
+        ].filter(Boolean).join(' ');
+      }
     });
   }
 
   // Pagination management
-  updatePagination(state) {
+  updatePagination(state, { familyPool = null, refinedSample = null } = {}) {
     const currentPageEl = document.querySelector('[result-pagination="current"]');
     const totalPageEl = document.querySelector('[result-pagination="total"]');
     const prevBtn = document.querySelector('[result-pagination="prev"]');
     const nextBtn = document.querySelector('[result-pagination="next"]');
-
-    if (currentPageEl) currentPageEl.textContent = state.search?.current_page || 1;
-    if (totalPageEl) totalPageEl.textContent = state.search?.total_pages || 1;
-
-    if (prevBtn) prevBtn.disabled = (state.search?.current_page || 1) === 1;
-    if (nextBtn) nextBtn.disabled = (state.search?.current_page || 1) === (state.search?.total_pages || 1);
+    const firstBtn = document.querySelector('[result-pagination="first"]');
+    const lastBtn = document.querySelector('[result-pagination="last"]');
+    const totalResultsEl = document.querySelector('[result-count="total"]');
+    const pageSizeSelect = document.querySelector('#results-page-size');
+    const pageJumpInput = document.querySelector('#results-page-jump');
+    const loading = !!state.search?.loading;
+    const currentPage = state.search?.current_page || 1;
+    const totalPages = state.search?.total_pages || 1;
+
+    if (totalResultsEl) {
+      // Excluded publications filtered out locally leave the backend's count
+      // only partly corrected
+      const estimate = !!state.search?.total_is_estimate;
+      totalResultsEl.textContent = `${estimate ? '≈ ' : ''}${state.search?.total_results || 0}`;
+      totalResultsEl.title = estimate ? 'Estimated: excluded publications are not all accounted for yet' : '';
+    }
+    this.updateFamilyCount(state, familyPool);
+    this.updateRefineDisplay(state, refinedSample);
+
+    const groupToggle = document.querySelector('#group-families-toggle');
+    if (groupToggle) groupToggle.checked = !!state.search?.group_families;
+    if (currentPageEl) currentPageEl.textContent = currentPage;
+    if (totalPageEl) totalPageEl.textContent = totalPages;
+
+    if (prevBtn) prevBtn.disabled = loading || currentPage === 1;
+    if (firstBtn) firstBtn.disabled = loading || currentPage === 1;
+    if (nextBtn) nextBtn.disabled = loading || currentPage >= totalPages;
+    if (lastBtn) lastBtn.disabled = loading || currentPage >= totalPages;
+
+    if (pageSizeSelect) {
+      pageSizeSelect.value = String(state.search?.items_per_page);
+      pageSizeSelect.disabled = loading;
+    }
+    if (pageJumpInput) {
+      pageJumpInput.max = totalPages;
+      pageJumpInput.disabled = loading;
+      if (document.activeElement !== pageJumpInput) pageJumpInput.value = currentPage;
+    }
   }
 
   updateSidebar(state) {
@@ -339,13 +651,42 @@ initializeTableScroll() {
     if (!sidebar) return;
 
     const activeItem = state.search?.active_item;
+    this.updateActiveRow(activeItem);
     if (activeItem) {
-      this.showSidebar(sidebar, activeItem);
+      this.showSidebar(sidebar, activeItem, this.getHighlightTerms(state));
+      this.updateSidebarNavigation(state);
+      this.updateExclusionMarkers(state);
     } else {
       this.hideSidebar(sidebar);
     }
   }
 
+  updateActiveRow(activeItem) {
+    const activeNumber = activeItem?.publication_number;
+    document.querySelectorAll('[data-attribute="table_contentCell_wrapper"][data-publication-number]').forEach(row => {
+      const isActive = !!activeNumber && row.dataset.publicationNumber === activeNumber;
+      row.classList.toggle('is-active', isActive);
+      if (isActive && row.style.display !== 'none') row.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  // "12 of 240" plus next/previous buttons that stop at either end of the results
+  updateSidebarNavigation(state) {
+    const search = state.search || {};
+    const items = search.results || [];
+    const index = items.findIndex(item => item.publication_number === search.active_item?.publication_number);
+    const total = search.refinement ? (search.refined_total ?? items.length) : (search.total_results ?? items.length);
+    const position = index === -1 ? null : (search.current_page - 1) * search.items_per_page + index + 1;
+
+    const positionEl = document.querySelector('#sidebar-item-position');
+    if (positionEl) positionEl.textContent = position ? `${position} of ${total}` : '';
+
+    const prevBtn = document.querySelector('#sidebar-prev-item');
+    if (prevBtn) prevBtn.disabled = position === 1;
+    const nextBtn = document.querySelector('#sidebar-next-item');
+    if (nextBtn) nextBtn.disabled = position === total;
+  }
+
   hideSidebar(sidebar) {
     if (!sidebar) return;
     
@@ -370,6 +711,195 @@ initializeTableScroll() {
         this.eventBus.emit(EventTypes.SEARCH_PAGE_NEXT);
       });
     }
+
+    const firstButton = document.querySelector('[result-pagination="first"]');
+    if (firstButton) {
+      firstButton.addEventListener('click', () => {
+        this.eventBus.emit(EventTypes.SEARCH_PAGE_GOTO, { page: 1 });
+      });
+    }
+
+    // Last page is resolved by the handler, which knows the current total
+    const lastButton = document.querySelector('[result-pagination="last"]');
+    if (lastButton) {
+      lastButton.addEventListener('click', () => {
+        this.eventBus.emit(EventTypes.SEARCH_PAGE_GOTO, { page: Infinity });
+      });
+    }
+
+    const pageSizeSelect = document.querySelector('#results-page-size');
+    if (pageSizeSelect) {
+      if (!pageSizeSelect.options.length) {
+        PAGE_SIZE_OPTIONS.forEach(size => {
+          const option = document.createElement('option');
+          option.value = size;
+          option.textContent = `${size} per page`;
+          pageSizeSelect.appendChild(option);
+        });
+      }
+      pageSizeSelect.addEventListener('change', () => {
+        this.eventBus.emit(EventTypes.SEARCH_PAGE_SIZE_CHANGED, {
+          pageSize: parseInt(pageSizeSelect.value, 10)
+        });
+      });
+    }
+
+    const pageJumpInput = document.querySelector('#results-page-jump');
+    if (pageJumpInput) {
+      const jump = () => {
+        const page = parseInt(pageJumpInput.value, 10);
+        if (!isNaN(page)) {
+          this.eventBus.emit(EventTypes.SEARCH_PAGE_GOTO, { page });
+        }
+      };
+      pageJumpInput.addEventListener('keypress', e => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          jump();
+        }
+      });
+      pageJumpInput.addEventListener('change', jump);
+    }
+  }
+
+  setupFamilyGroupingToggle() {
+    const toggle = document.querySelector('#group-families-toggle');
+    if (!toggle) return;
+    toggle.addEventListener('change', () => {
+      this.eventBus.emit(EventTypes.SEARCH_FAMILY_GROUPING_TOGGLED, { enabled: toggle.checked });
+    });
+  }
+
+  // Export buttons carry result-export="<format>"; #export-scope picks the rows
+  setupExportMenu() {
+    const scopeSelect = document.querySelector('#export-scope');
+    if (scopeSelect && !scopeSelect.options.length) {
+      EXPORT_SCOPES.forEach(scope => {
+        const option = document.createElement('option');
+        option.value = scope;
+        option.textContent = EXPORT_SCOPE_LABELS[scope];
+        scopeSelect.appendChild(option);
+      });
+    }
+
+    document.querySelectorAll('[result-export]').forEach(button => {
+      const format = button.getAttribute('result-export');
+      if (!EXPORT_FORMATS[format]) return;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.RESULTS_EXPORT_REQUESTED, {
+          format,
+          scope: scopeSelect?.value || 'all'
+        });
+      });
+    });
+
+    const reportBtn = document.querySelector('#generate-report');
+    if (reportBtn) {
+      reportBtn.addEventListener('click', e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.REPORT_REQUESTED);
+      });
+    }
+
+    const selectPageBox = document.querySelector('#select-page-results');
+    if (selectPageBox) {
+      selectPageBox.addEventListener('change', () => {
+        this.eventBus.emit(EventTypes.RESULT_SELECTION_SET, {
+          publicationNumbers: this.getRenderedRows().map(row => row.dataset.publicationNumber),
+          selected: selectPageBox.checked
+        });
+      });
+    }
+
+    const clearSelectionBtn = document.querySelector('#clear-result-selection');
+    if (clearSelectionBtn) {
+      clearSelectionBtn.addEventListener('click', e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.RESULT_SELECTION_CLEARED);
+      });
+    }
+  }
+
+  // Search within results; typing pauses briefly before refining
+  setupRefineInput() {
+    const input = document.querySelector('#search-refine-input');
+    if (!input) return;
+
+    let debounceTimer = null;
+    const emitRefine = () => {
+      clearTimeout(debounceTimer);
+      this.eventBus.emit(EventTypes.SEARCH_REFINED, { text: input.value });
+    };
+
+    input.addEventListener('input', () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(emitRefine, 300);
+    });
+    input.addEventListener('keypress', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        emitRefine();
+      }
+    });
+
+    const clearBtn = document.querySelector('#search-refine-clear');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', e => {
+        e.preventDefault();
+        input.value = '';
+        emitRefine();
+      });
+    }
+  }
+
+  // A refinement over a capped result set only counts matches in that sample
+  updateRefineDisplay(state, refinedSample = null) {
+    const refinement = state.search?.refinement || '';
+    const input = document.querySelector('#search-refine-input');
+    if (input && document.activeElement !== input) input.value = refinement;
+
+    const clearBtn = document.querySelector('#search-refine-clear');
+    if (clearBtn) clearBtn.style.display = refinement ? '' : 'none';
+
+    document.querySelectorAll('[data-state="search-refined"]').forEach(el => {
+      el.style.display = refinement ? '' : 'none';
+    });
+    const refinedCountEl = document.querySelector('[result-count="refined"]');
+    if (refinedCountEl) {
+      const refinedTotal = state.search?.refined_total ?? '';
+      refinedCountEl.textContent = refinedSample && refinement ? `${refinedTotal}+` : refinedTotal;
+      refinedCountEl.title = refinedSample && refinement
+        ? `${refinedTotal} matches in the first ${refinedSample} of ${state.search?.total_results} results`
+        : '';
+    }
+  }
+
+  // Column headers carry result-sort="<field>", e.g. result-sort="priority_date"
+  setupSortHeaders() {
+    document.querySelectorAll('[result-sort]').forEach(header => {
+      header.style.cursor = 'pointer';
+      header.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.SEARCH_SORT_CHANGED, {
+          field: header.getAttribute('result-sort')
+        });
+      });
+    });
+  }
+
+  updateSortHeaders(state) {
+    const sort = state.search?.sort;
+    document.querySelectorAll('[result-sort]').forEach(header => {
+      const active = sort?.field === header.getAttribute('result-sort');
+      header.classList.toggle('is-sorted', active);
+      header.setAttribute('aria-sort', active ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+      if (active) {
+        header.dataset.sortDirection = sort.direction;
+      } else {
+        delete header.dataset.sortDirection;
+      }
+    });
   }
 
   setupPatentSidebar() {
@@ -382,6 +912,7 @@ initializeTableScroll() {
     sidebar.style.transition = 'transform 0.3s ease-out';
 
     this.setupSidebarCloseButton();
+    this.setupSidebarNavigation();
     this.setupSidebarClickOutside(sidebar);
   }
 
@@ -395,12 +926,41 @@ initializeTableScroll() {
     }
   }
 
+  setupSidebarNavigation() {
+    [
+      ['#sidebar-exclude-publication', EventTypes.PUBLICATION_EXCLUDED],
+      ['#sidebar-search-similar', EventTypes.SEARCH_SIMILAR_REQUESTED]
+    ].forEach(([selector, eventType]) => {
+      const button = document.querySelector(selector);
+      if (!button) return;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        if (this.sidebarItem) this.eventBus.emit(eventType, { item: this.sidebarItem });
+      });
+    });
+
+    [
+      ['#sidebar-next-item', EventTypes.SEARCH_ITEM_NEXT],
+      ['#sidebar-prev-item', EventTypes.SEARCH_ITEM_PREV]
+    ].forEach(([selector, eventType]) => {
+      const button = document.querySelector(selector);
+      if (!button) return;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        this.eventBus.emit(eventType);
+      });
+    });
+  }
+
   setupSidebarClickOutside(sidebar) {
     document.addEventListener('click', (e) => {
       if (sidebar.style.display !== 'none') {
         const isClickInside = sidebar.contains(e.target);
-        const isClickOnResultRow = e.target.closest('[data-attribute="table_contentCell_wrapper"]');
-        if (!isClickInside && !isClickOnResultRow) {
+        const isClickOnResultRow = e.target.closest('[data-attribute="table_contentCell_wrapper"], [data-opens-sidebar]');
+        // Palette commands and the similar search dialog act on the open
+        // result, so keep it open for them
+        const isClickInOverlay = e.target.closest('.command-palette, .similar-search-dialog');
+        if (!isClickInside && !isClickOnResultRow && !isClickInOverlay) {
           this.eventBus.emit(EventTypes.SEARCH_ITEM_DESELECTED);
         }
       }
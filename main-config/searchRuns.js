@@ -0,0 +1,49 @@
+// searchRuns.js
+// Snapshots of completed searches kept in state.runs, newest first:
+//   { id, timestamp, library, method, filters, searchInput, sort,
+//     items_per_page, total, total_is_estimate, results }
+// results holds slim rows for the run's top RUN_DIFF_LIMIT results, the depth
+// the run diff compares: { publication_number, title, rank, score }. Full
+// results are never kept in runs; they are fetched again from searchInput.
+import { RUN_DIFF_LIMIT } from "./runDiff.js";
+
+export const MAX_RUNS = 20;
+
+function generateRunId() {
+  return 'run-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+function toRunRow(item, index) {
+  const row = { publication_number: item.publication_number, title: item.title || '', rank: index + 1 };
+  if (item.score !== undefined && item.score !== null) row.score = item.score;
+  return row;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export function createRunSnapshot(state, { searchInput, results, total, totalIsEstimate = false }) {
+  return {
+    id: generateRunId(),
+    timestamp: new Date().toISOString(),
+    library: state.library,
+    method: clone(state.method),
+    filters: clone(state.filters),
+    searchInput: clone(searchInput),
+    sort: clone(state.search.sort),
+    items_per_page: state.search.items_per_page,
+    total,
+    total_is_estimate: totalIsEstimate,
+    results: (results || []).slice(0, RUN_DIFF_LIMIT).map(toRunRow)
+  };
+}
+
+// Returns a new list with the run first, dropping the oldest past MAX_RUNS
+export function addRun(runs, run) {
+  return [run, ...(Array.isArray(runs) ? runs : [])].slice(0, MAX_RUNS);
+}
+
+export function findRun(runs, runId) {
+  return (Array.isArray(runs) ? runs : []).find(run => run.id === runId) || null;
+}
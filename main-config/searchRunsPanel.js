@@ -0,0 +1,122 @@
+// searchRunsPanel.js
+import { EventTypes } from "./eventTypes.js";
+import { serializeFilters } from "./queryLanguage.js";
+
+// Lists the session's past search runs in #search-run-history, newest first.
+// Restoring and comparing runs is handled by SearchApp through
+// SEARCH_RUN_RESTORED and SEARCH_RUNS_COMPARED.
+export class SearchRunsPanel {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.selectors = {
+      root: '#search-run-history'
+    };
+  }
+
+  render(state) {
+    const root = document.querySelector(this.selectors.root);
+    if (!root) return;
+
+    const runs = state.runs || [];
+    root.innerHTML = '';
+    root.style.display = runs.length ? '' : 'none';
+
+    if (runs.length > 1) {
+      root.appendChild(this.createCompareControls(runs));
+    }
+
+    runs.forEach(run => {
+      root.appendChild(this.createRunElement(run, run.id === state.search?.run_id));
+    });
+  }
+
+  // Defaults to the latest run against the one before it
+  createCompareControls(runs) {
+    const controls = document.createElement('div');
+    controls.className = 'search-runs_compare';
+
+    const createSelect = (selectedId, className) => {
+      const select = document.createElement('select');
+      select.className = className;
+      runs.forEach(run => {
+        const option = document.createElement('option');
+        option.value = run.id;
+        option.textContent = `${new Date(run.timestamp).toLocaleString()} (${run.total})`;
+        option.selected = run.id === selectedId;
+        select.appendChild(option);
+      });
+      return select;
+    };
+
+    const baseSelect = createSelect(runs[1].id, 'search-runs_compare-base');
+    const compareSelect = createSelect(runs[0].id, 'search-runs_compare-target');
+
+    const compareBtn = document.createElement('button');
+    compareBtn.type = 'button';
+    compareBtn.className = 'search-runs_compare-button';
+    compareBtn.textContent = 'Compare';
+    compareBtn.addEventListener('click', e => {
+      e.preventDefault();
+      if (baseSelect.value === compareSelect.value) {
+        alert('Pick two different runs to compare');
+        return;
+      }
+      this.eventBus.emit(EventTypes.SEARCH_RUNS_COMPARED, {
+        baseRunId: baseSelect.value,
+        compareRunId: compareSelect.value
+      });
+    });
+
+    controls.appendChild(baseSelect);
+    controls.appendChild(document.createTextNode(' vs '));
+    controls.appendChild(compareSelect);
+    controls.appendChild(compareBtn);
+    return controls;
+  }
+
+  describeRun(run) {
+    const query = serializeFilters(run.filters);
+    if (query) return query;
+    const description = run.method?.description?.value || run.method?.searchValue || '';
+    return description.length > 80 ? `${description.substr(0, 80).trim()}...` : description;
+  }
+
+  createRunElement(run, isCurrent) {
+    const item = document.createElement('div');
+    item.className = `search-runs_item${isCurrent ? ' is-current' : ''}`;
+    item.dataset.runId = run.id;
+
+    const header = document.createElement('div');
+    header.className = 'search-runs_header';
+
+    const time = document.createElement('span');
+    time.className = 'search-runs_time';
+    time.textContent = new Date(run.timestamp).toLocaleString();
+    header.appendChild(time);
+
+    const count = document.createElement('span');
+    count.className = 'search-runs_count';
+    count.textContent = `${run.total} result${run.total === 1 ? '' : 's'}`;
+    header.appendChild(count);
+
+    item.appendChild(header);
+
+    const summary = document.createElement('div');
+    summary.className = 'search-runs_summary';
+    summary.textContent = [run.library, this.describeRun(run)].filter(Boolean).join(' · ');
+    item.appendChild(summary);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'search-runs_restore';
+    restoreBtn.textContent = isCurrent ? 'Current' : 'Restore';
+    restoreBtn.disabled = isCurrent;
+    restoreBtn.addEventListener('click', e => {
+      e.preventDefault();
+      this.eventBus.emit(EventTypes.SEARCH_RUN_RESTORED, { runId: run.id });
+    });
+    item.appendChild(restoreBtn);
+
+    return item;
+  }
+}
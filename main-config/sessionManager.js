@@ -1,6 +1,8 @@
 import { Logger } from './logger.js';
 import { EventTypes } from './eventTypes.js';
 import { AuthManager, AUTH_EVENTS } from './authManager.js';
+import { prepareSession, stampSession } from './sessionSchema.js';
+import { DEFAULT_PAGE_SIZE } from './sessionState.js';
 
 const SESSION_API = {
   CREATE: 'https://xobg-f2pu-pqfs.n7.xano.io/api:fr-l0x4x/dashboard/patent-search/session-create',
@@ -127,6 +129,16 @@ export default class SessionManager {
       EventTypes.KEYWORD_REMOVED,
       EventTypes.KEYWORD_EXCLUDED_ADDED,
       EventTypes.KEYWORD_EXCLUDED_REMOVED,
+      EventTypes.BOOLEAN_NODE_ADDED,
+      EventTypes.BOOLEAN_NODE_REMOVED,
+      EventTypes.BOOLEAN_NODE_UPDATED,
+      EventTypes.CONCEPT_BLOCK_ADDED,
+      EventTypes.CONCEPT_BLOCK_REMOVED,
+      EventTypes.CONCEPT_BLOCK_RENAMED,
+      EventTypes.CONCEPT_BLOCKS_MERGED,
+      EventTypes.CONCEPT_KEYWORD_ADDED,
+      EventTypes.CONCEPT_KEYWORD_REMOVED,
+      EventTypes.QUERY_TEXT_APPLIED,
       EventTypes.CODE_ADDED,
       EventTypes.CODE_REMOVED,
       EventTypes.INVENTOR_ADDED,
@@ -134,7 +146,29 @@ export default class SessionManager {
       EventTypes.ASSIGNEE_ADDED,
       EventTypes.ASSIGNEE_REMOVED,
       EventTypes.FILTER_UPDATED,
-      EventTypes.SEARCH_COMPLETED
+      EventTypes.SEARCH_COMPLETED,
+      EventTypes.SEARCH_PAGE_LOADED,
+      EventTypes.SEARCH_PAGE_SIZE_CHANGED,
+      EventTypes.SEARCH_SORT_CHANGED,
+      EventTypes.SEARCH_FAMILY_GROUPING_TOGGLED,
+      EventTypes.SEARCH_REFINED,
+      EventTypes.SEARCH_RUN_RESTORED,
+      EventTypes.RESULT_STAR_TOGGLED,
+      EventTypes.RESULT_TAG_TOGGLED,
+      EventTypes.RESULT_NOTE_UPDATED,
+      EventTypes.RESULT_SELECTION_TOGGLED,
+      EventTypes.RESULT_SELECTION_CLEARED,
+      EventTypes.RESULT_SELECTION_SET,
+      EventTypes.RESULT_SELECTION_ALL_REQUESTED,
+      EventTypes.RESULTS_BULK_TAGGED,
+      EventTypes.RESULTS_BULK_EXCLUDED,
+      EventTypes.PUBLICATION_EXCLUDED,
+      EventTypes.PUBLICATION_EXCLUSION_REMOVED,
+      EventTypes.SEARCH_SIMILAR_CONFIRMED,
+      EventTypes.RESULTS_COLLECTION_ADDED,
+      EventTypes.COLLECTION_REMOVED,
+      EventTypes.HISTORY_UNDO,
+      EventTypes.HISTORY_REDO
     ];
 
     saveEvents.forEach(eventType => {
@@ -211,15 +245,25 @@ export default class SessionManager {
 
   initializeNewSessionState(state) {
     return {
-      ...state,
+      ...stampSession(state),
       searchRan: false,
       search: {
         results: null,
+        total_results: 0,
+        total_is_estimate: false,
+        query: null,
+        sort: null,
+        refinement: "",
+        refined_total: null,
+        run_id: null,
+        selected: [],
+        group_families: false,
         current_page: 1,
         total_pages: 0,
         active_item: null,
-        items_per_page: 10,
-        reload_required: false
+        items_per_page: DEFAULT_PAGE_SIZE,
+        reload_required: false,
+        loading: false
       }
     };
   }
@@ -249,7 +293,7 @@ export default class SessionManager {
         mode: 'cors',
         body: JSON.stringify({
           uniqueID: this.sessionId,
-          data: state
+          data: stampSession(state)
         })
       });
 
@@ -304,23 +348,9 @@ export default class SessionManager {
       // Log the raw response data for debugging
       Logger.info("Raw API response:", JSON.stringify(responseData, null, 2));
 
-      // Preserve all data from the response, including search results
-      const sessionData = {
-        ...responseData.data,
-        // Ensure search object maintains its structure
-        search: {
-          ...responseData.data.search,
-          results: responseData.data.search?.results || null,
-          current_page: responseData.data.search?.current_page || 1,
-          total_pages: responseData.data.search?.results ? 
-            Math.ceil(responseData.data.search.results.length / 10) : 0,
-          items_per_page: 10,
-          active_item: responseData.data.search?.active_item || null,
-          reload_required: false
-        },
-        // Preserve searchRan flag if it exists
-        searchRan: responseData.data.search?.results ? true : false
-      };
+      // Upgrade older session shapes and reject ones that can't be rendered.
+      // A SessionSchemaError reaches SearchApp.initializeSession, which tells the user.
+      const sessionData = prepareSession(responseData.data);
 
       // Update session state
       this.sessionId = sessionId;
@@ -0,0 +1,307 @@
+// sessionSchema.js
+import { Logger } from "./logger.js";
+import { isValidSort } from "./resultSort.js";
+
+// Bump this and add a migration below whenever the saved session shape changes
+export const SESSION_SCHEMA_VERSION = 10;
+
+const LIBRARIES = ['patents', 'tto'];
+const METHODS = ['basic', 'descriptive', 'patent'];
+
+export class SessionSchemaError extends Error {
+  constructor(message, details = []) {
+    super(details.length ? `${message}: ${details.join('; ')}` : message);
+    this.name = 'SessionSchemaError';
+    this.details = details;
+  }
+}
+
+// Each migration takes a payload at version N and returns it at version N + 1.
+// Migrations must not depend on SessionState so old payloads keep upgrading the
+// same way after the current state shape moves on.
+const MIGRATIONS = {
+  // Unversioned sessions saved before schemaVersion was stamped
+  0: data => {
+    const description = data.method?.description;
+    const filters = Array.isArray(data.filters)
+      ? data.filters
+      : Object.entries(data.filters || {}).map(([name, value]) => ({ name, value }));
+    const results = Array.isArray(data.search?.results) ? data.search.results : null;
+
+    return {
+      ...data,
+      library: data.library ?? null,
+      method: {
+        selected: data.method?.selected ?? null,
+        description: typeof description === 'string'
+          ? { value: description, previousValue: null, isValid: description.trim().length >= 10, improved: false, modificationSummary: null }
+          : {
+              value: description?.value || "",
+              previousValue: description?.previousValue ?? null,
+              isValid: !!description?.isValid,
+              improved: !!description?.improved,
+              modificationSummary: description?.modificationSummary ?? null
+            },
+        patent: data.method?.patent ?? null,
+        searchValue: data.method?.searchValue || "",
+        validated: !!data.method?.validated
+      },
+      filters: filters
+        .filter(filter => filter && filter.name)
+        .map((filter, index) => ({
+          ...filter,
+          order: typeof filter.order === 'number' ? filter.order : index,
+          value: filter.value ?? null
+        })),
+      search: {
+        ...data.search,
+        results,
+        current_page: data.search?.current_page || 1,
+        total_pages: results ? Math.ceil(results.length / 10) : 0,
+        items_per_page: 10,
+        active_item: data.search?.active_item || null,
+        reload_required: false
+      },
+      searchRan: !!results,
+      history: {
+        past: Array.isArray(data.history?.past) ? data.history.past : [],
+        future: Array.isArray(data.history?.future) ? data.history.future : []
+      },
+      schemaVersion: 1
+    };
+  },
+
+  // Results became server-paged: keep only the saved page and record the total
+  1: data => {
+    const results = Array.isArray(data.search?.results) ? data.search.results : null;
+    const itemsPerPage = data.search?.items_per_page || 10;
+    const totalPages = results ? Math.max(1, Math.ceil(results.length / itemsPerPage)) : 1;
+    const currentPage = Math.min(Math.max(1, data.search?.current_page || 1), totalPages);
+    const start = (currentPage - 1) * itemsPerPage;
+
+    return {
+      ...data,
+      search: {
+        ...data.search,
+        results: results ? results.slice(start, start + itemsPerPage) : null,
+        total_results: results ? results.length : 0,
+        query: null,
+        current_page: currentPage,
+        loading: false
+      },
+      schemaVersion: 2
+    };
+  },
+
+  // Result sorting; older sessions showed results in API order
+  2: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      sort: null
+    },
+    schemaVersion: 3
+  }),
+
+  // Search-within-results refinement
+  3: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      refinement: "",
+      refined_total: null
+    },
+    schemaVersion: 4
+  }),
+
+  // Snapshots of earlier search runs
+  4: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      run_id: null
+    },
+    runs: [],
+    schemaVersion: 5
+  }),
+
+  // Per-result stars, tags and notes
+  5: data => ({
+    ...data,
+    annotations: {},
+    schemaVersion: 6
+  }),
+
+  // Row selection, by publication number
+  6: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      selected: []
+    },
+    schemaVersion: 7
+  }),
+
+  // Optional grouping of results by patent family
+  7: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      group_families: false
+    },
+    schemaVersion: 8
+  }),
+
+  // Named result collections
+  8: data => ({
+    ...data,
+    collections: [],
+    schemaVersion: 9
+  }),
+
+  // Totals can be estimates when excluded publications are filtered locally
+  9: data => ({
+    ...data,
+    search: {
+      ...data.search,
+      total_is_estimate: false
+    },
+    schemaVersion: 10
+  })
+};
+
+export function getSchemaVersion(data) {
+  return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 0;
+}
+
+export function migrateSession(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new SessionSchemaError('Session data is not an object');
+  }
+
+  let version = getSchemaVersion(data);
+  if (version > SESSION_SCHEMA_VERSION) {
+    throw new SessionSchemaError(
+      `Session was saved with schema version ${version}, this app supports up to ${SESSION_SCHEMA_VERSION}`
+    );
+  }
+
+  let migrated = JSON.parse(JSON.stringify(data));
+  while (version < SESSION_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new SessionSchemaError(`No migration available from schema version ${version}`);
+    }
+    try {
+      migrated = migrate(migrated);
+    } catch (error) {
+      throw new SessionSchemaError(`Migration from schema version ${version} failed`, [error.message]);
+    }
+    Logger.info(`Session migrated from schema version ${version} to ${migrated.schemaVersion}`);
+    version = migrated.schemaVersion;
+  }
+
+  return migrated;
+}
+
+// Returns a list of problems, empty when the payload matches the current schema
+export function validateSession(data) {
+  const errors = [];
+
+  if (data.schemaVersion !== SESSION_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SESSION_SCHEMA_VERSION}`);
+  }
+  if (data.library !== null && !LIBRARIES.includes(data.library)) {
+    errors.push(`library "${data.library}" is not supported`);
+  }
+  if (!data.method || typeof data.method !== 'object') {
+    errors.push('method is missing');
+  } else {
+    if (data.method.selected !== null && !METHODS.includes(data.method.selected)) {
+      errors.push(`method "${data.method.selected}" is not supported`);
+    }
+    if (!data.method.description || typeof data.method.description.value !== 'string') {
+      errors.push('method.description.value must be a string');
+    }
+  }
+  if (!Array.isArray(data.filters)) {
+    errors.push('filters must be an array');
+  } else {
+    data.filters.forEach((filter, index) => {
+      if (!filter || typeof filter.name !== 'string') {
+        errors.push(`filters[${index}] has no name`);
+      }
+    });
+  }
+  if (!data.search || typeof data.search !== 'object') {
+    errors.push('search is missing');
+  } else {
+    if (data.search.results !== null && !Array.isArray(data.search.results)) {
+      errors.push('search.results must be an array or null');
+    }
+    if (!Number.isInteger(data.search.items_per_page) || data.search.items_per_page < 1) {
+      errors.push('search.items_per_page must be a positive integer');
+    }
+    if (!Number.isInteger(data.search.total_results) || data.search.total_results < 0) {
+      errors.push('search.total_results must be a non-negative integer');
+    }
+    if (!isValidSort(data.search.sort)) {
+      errors.push('search.sort must be null or a supported { field, direction }');
+    }
+    if (typeof data.search.refinement !== 'string') {
+      errors.push('search.refinement must be a string');
+    }
+    if (!Array.isArray(data.search.selected)) {
+      errors.push('search.selected must be an array');
+    }
+    if (typeof data.search.group_families !== 'boolean') {
+      errors.push('search.group_families must be a boolean');
+    }
+    if (typeof data.search.total_is_estimate !== 'boolean') {
+      errors.push('search.total_is_estimate must be a boolean');
+    }
+  }
+  if (!Array.isArray(data.runs)) {
+    errors.push('runs must be an array');
+  } else {
+    data.runs.forEach((run, index) => {
+      if (!run || typeof run.id !== 'string' || !Array.isArray(run.results)) {
+        errors.push(`runs[${index}] needs an id and a results array`);
+      }
+    });
+  }
+  if (!data.annotations || typeof data.annotations !== 'object' || Array.isArray(data.annotations)) {
+    errors.push('annotations must be an object keyed by publication number');
+  }
+  if (!Array.isArray(data.collections)) {
+    errors.push('collections must be an array');
+  } else {
+    data.collections.forEach((collection, index) => {
+      if (!collection || typeof collection.name !== 'string' || !Array.isArray(collection.items)) {
+        errors.push(`collections[${index}] needs a name and an items array`);
+      }
+    });
+  }
+  if (!Array.isArray(data.history?.past) || !Array.isArray(data.history?.future)) {
+    errors.push('history must hold past and future arrays');
+  }
+
+  return errors;
+}
+
+// Migrate and validate a saved payload, throwing SessionSchemaError if it can't be used
+export function prepareSession(data) {
+  const migrated = migrateSession(data);
+  const errors = validateSession(migrated);
+  if (errors.length) {
+    throw new SessionSchemaError('Session data is invalid', errors);
+  }
+  return migrated;
+}
+
+export function stampSession(state) {
+  return {
+    ...state,
+    schemaVersion: SESSION_SCHEMA_VERSION
+  };
+}
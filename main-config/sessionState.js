@@ -1,5 +1,23 @@
 // sessionState.js
 import { Logger } from "./logger.js";
+import StateHistory from "./stateHistory.js";
+import { SESSION_SCHEMA_VERSION } from "./sessionSchema.js";
+import { combineQueries } from "./booleanQuery.js";
+import { conceptBlocksToQuery } from "./conceptBlocks.js";
+import SearchPageCache from "./searchPageCache.js";
+import { EXCLUDE_FILTER } from "./publicationExclusions.js";
+
+export const PAGE_SIZE_OPTIONS = [10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = PAGE_SIZE_OPTIONS[0];
+
+function getValueAtPath(obj, path) {
+  return path.split(".").reduce((current, part) => current?.[part], obj);
+}
+
+// Two paths overlap when one is the other or an ancestor of it
+function pathsOverlap(a, b) {
+  return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
 
 class SearchInputGenerator {
   constructor(sessionState) {
@@ -52,11 +70,38 @@ class SearchInputGenerator {
     }
   }
 
+  // Filters that map the same way for every library; returns false for the rest
+  processSharedFilter(searchInput, filter) {
+    switch (filter.name) {
+      case EXCLUDE_FILTER:
+        if (Array.isArray(filter.value) && filter.value.length) {
+          searchInput.filters.excludePublications = filter.value.map(entry => entry.publication_number);
+        }
+        return true;
+
+      // Boolean groups and concept blocks are ANDed into one structured query
+      case 'keywords-boolean':
+      case 'keywords-concepts': {
+        const query = filter.name === 'keywords-concepts'
+          ? conceptBlocksToQuery(filter.value)
+          : filter.value;
+        const booleanQuery = combineQueries(searchInput.filters.booleanQuery, query);
+        if (booleanQuery) {
+          searchInput.filters.booleanQuery = booleanQuery;
+        }
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
   processPatentsFilters(searchInput, filters) {
     if (!Array.isArray(filters)) return;
 
     filters.forEach(filter => {
-      if (!filter?.name) return;
+      if (!filter?.name || this.processSharedFilter(searchInput, filter)) return;
 
       switch (filter.name) {
         case 'keywords-include':
@@ -70,7 +115,7 @@ class SearchInputGenerator {
             searchInput.filters.excludeKeywords = filter.value;
           }
           break;
-          
+
         case 'inventor':
           if (Array.isArray(filter.value) && filter.value.length) {
             searchInput.filters.inventorsKeywords = filter.value;
@@ -108,7 +153,7 @@ class SearchInputGenerator {
     if (!Array.isArray(filters)) return;
 
     filters.forEach(filter => {
-      if (!filter?.name) return;
+      if (!filter?.name || this.processSharedFilter(searchInput, filter)) return;
 
       switch (filter.name) {
         case 'keywords-include':
@@ -122,7 +167,7 @@ class SearchInputGenerator {
             searchInput.filters.excludeKeywords = filter.value;
           }
           break;
-          
+
         case 'inventor':
           if (Array.isArray(filter.value) && filter.value.length) {
             searchInput.filters.inventorsKeywords = filter.value;
@@ -178,11 +223,16 @@ export default class SessionState {
   constructor(uiManager) {
     this.uiManager = uiManager;
     this.searchInputGenerator = new SearchInputGenerator(this);
+    this.stateHistory = new StateHistory();
+    this.subscriptions = new Set();
+    this.pageCache = new SearchPageCache();
     this.state = this.getInitialState();
+    this.stateHistory.reset(this.state);
   }
 
   getInitialState() {
     return {
+      schemaVersion: SESSION_SCHEMA_VERSION,
       library: null,
       method: {
         selected: null,
@@ -200,13 +250,27 @@ export default class SessionState {
       filters: [],
       search: {
         results: null,
+        total_results: 0,
+        total_is_estimate: false,
+        query: null,
+        sort: null,
+        refinement: "",
+        refined_total: null,
+        run_id: null,
+        selected: [],
+        group_families: false,
         current_page: 1,
         total_pages: 0,
         active_item: null,
         reload_required: false,
-        items_per_page: 10
+        loading: false,
+        items_per_page: DEFAULT_PAGE_SIZE
       },
-      searchRan: false
+      searchRan: false,
+      runs: [],
+      annotations: {},
+      collections: [],
+      history: StateHistory.getInitialState()
     };
   }
 
@@ -220,10 +284,11 @@ export default class SessionState {
       ...updates
     };
     
-    // If results are being updated, update pagination
+    // results only holds the page on screen, so page counts come from the server total
     if (updates.results) {
-      const totalPages = Math.ceil((updates.results?.length || 0) / this.state.search.items_per_page);
-      this.state.search.total_pages = totalPages;
+      if (updates.total_results === undefined && !this.state.search.total_results) {
+        this.state.search.total_results = updates.results.length;
+      }
       this.state.search.current_page = updates.current_page || 1;
       
       // Set searchRan to true when we get results
@@ -231,24 +296,98 @@ export default class SessionState {
         this.state.searchRan = true;
       }
     }
+    this.state.search.total_pages = Math.ceil(
+      this.getPagedResultCount() / this.state.search.items_per_page
+    );
     
-    // Trigger UI update
-    if (this.uiManager) {
-      this.uiManager.updateAll(this.get());
-    }
+    const changedPaths = Object.keys(updates).map(key => `search.${key}`);
+    changedPaths.push('search.total_pages');
+    if (updates.results) changedPaths.push('search.total_results', 'search.current_page', 'searchRan');
+    this.notify(changedPaths);
+  }
+
+  /**
+   * Subscribe to a slice of state. The callback runs when one of the given
+   * paths (or anything above or below it) changes and the selected value is
+   * different from the one it last received. Without a selector the value at
+   * the first path is passed. Returns an unsubscribe function.
+   */
+  subscribe(paths, callback, selector = null) {
+    const subscription = {
+      paths: Array.isArray(paths) ? paths : [paths],
+      callback,
+      selector,
+      lastKey: undefined
+    };
+    this.subscriptions.add(subscription);
+    return () => this.subscriptions.delete(subscription);
+  }
+
+  notify(changedPaths = ['*']) {
+    const notifyAll = changedPaths.includes('*');
+
+    this.subscriptions.forEach(subscription => {
+      const affected = notifyAll || subscription.paths.some(path =>
+        changedPaths.some(changed => pathsOverlap(path, changed))
+      );
+      if (!affected) return;
+
+      const value = subscription.selector
+        ? subscription.selector(this.state)
+        : getValueAtPath(this.state, subscription.paths[0]);
+
+      // Values are compared by content since filters are mutated in place
+      const key = JSON.stringify(value === undefined ? null : value);
+      if (key === subscription.lastKey) return;
+      subscription.lastKey = key;
+
+      try {
+        subscription.callback(value, this.state);
+      } catch (error) {
+        Logger.error(`State subscriber for ${subscription.paths.join(', ')} failed:`, error);
+      }
+    });
   }
 
     logSession() {
     Logger.info('Current Session State:', this.state);
   }
 
-getSearchPageItems() {
-    if (!this.state.search.results) return [];
-    
-    const start = (this.state.search.current_page - 1) * this.state.search.items_per_page;
-    const end = start + this.state.search.items_per_page;
-    
-    return this.state.search.results.slice(start, end);
+  // Results being paged through: the refined subset while a refinement is active
+  getPagedResultCount(search = this.state.search) {
+    return search.refinement ? (search.refined_total || 0) : (search.total_results || 0);
+  }
+
+  // search.results is the current page as returned by the server
+  getSearchPageItems() {
+    return this.state.search.results || [];
+  }
+
+  // Every result fetched during this visit, in page order
+  getLoadedResults() {
+    const loaded = this.pageCache.getLoadedItems();
+    return loaded.length ? loaded : this.getSearchPageItems();
+  }
+
+  // Whole result set fetched for facets, refinement and family grouping; null
+  // until something asked for it. Capped, so compare with getAllResultsTotal().
+  getAllResults() {
+    return this.pageCache.getAll();
+  }
+
+  getAllResultsTotal() {
+    return this.pageCache.getAllTotal();
+  }
+
+  // The full result set stopped at the fetch cap before the last hit
+  isAllResultsCapped() {
+    const all = this.getAllResults();
+    return !!all && all.length < this.getAllResultsTotal();
+  }
+
+  setAllResults(results, total) {
+    this.pageCache.setAll(results, total);
+    this.notify(['search.all_results']);
   }
 
   markSearchReloadRequired() {
@@ -326,39 +465,67 @@ update(path, value) {
     if (path === 'search.results' && value !== null) {
       this.state.searchRan = true;
     }
+
+    const recorded = this.stateHistory.record(this.state);
     
     this.logSession();
     
-    // Single UI update
-    if (this.uiManager) {
-      this.uiManager.updateAll(this.state);
-    }
+    // Only subscribers of the changed path re-render
+    this.notify(recorded ? [path, 'history'] : [path]);
     
     return this.state;
   }
 
+  // Set several paths as one change, so undo treats them as a single step
+  updateMany(updates) {
+    Logger.info('Updating state paths:', Object.keys(updates));
+
+    Object.entries(updates).forEach(([path, value]) => {
+      const parts = path.split(".");
+      let current = this.state;
+      for (let i = 0; i < parts.length - 1; i++) {
+        if (!(parts[i] in current)) current[parts[i]] = {};
+        current = current[parts[i]];
+      }
+      current[parts[parts.length - 1]] = value;
+    });
+
+    const recorded = this.stateHistory.record(this.state);
+    this.logSession();
+
+    const paths = Object.keys(updates);
+    this.notify(recorded ? [...paths, 'history'] : paths);
+    return this.state;
+  }
+
+  // data must already be at the current schema: SessionManager.loadSession
+  // migrates and validates saved payloads with prepareSession()
   load(data) {
   Logger.info('Loading session data into state:', JSON.stringify(data, null, 2));
   
-  // Create a deep copy of the data to avoid reference issues
   const newState = JSON.parse(JSON.stringify(data));
   
-  // Ensure search state is properly structured
+  // A freshly loaded session never needs a reload
   newState.search = {
-    results: data.search?.results || null,
-    current_page: data.search?.current_page || 1,
-    total_pages: data.search?.results ? 
-      Math.ceil(data.search.results.length / 10) : 0,
-    items_per_page: 10,
-    active_item: data.search?.active_item || null,
-    reload_required: false
+    ...newState.search,
+    total_pages: Math.ceil(this.getPagedResultCount(newState.search) / newState.search.items_per_page),
+    reload_required: false,
+    loading: false
   };
   
   // Set searchRan based on presence of results
-  newState.searchRan = !!data.search?.results;
+  newState.searchRan = !!newState.search.results;
   
   // Replace current state
   this.state = newState;
+  this.stateHistory.reset(this.state);
+
+  // Only the saved page is known; the rest is fetched on demand. A refined page
+  // isn't a server page, so it stays out of the cache.
+  this.pageCache.clear();
+  if (newState.search.results && !newState.search.refinement) {
+    this.pageCache.set(newState.search.current_page, newState.search.results);
+  }
   
   // Log the final state for debugging
   Logger.info('State after loading:', JSON.stringify(this.state, null, 2));
@@ -367,8 +534,32 @@ update(path, value) {
   window.app.eventBus.emit('stateUpdated', this.state);
 }
   
+  undo() {
+    if (!this.stateHistory.undo(this.state)) return false;
+    this.logSession();
+    this.notify();
+    return true;
+  }
+
+  redo() {
+    if (!this.stateHistory.redo(this.state)) return false;
+    this.logSession();
+    this.notify();
+    return true;
+  }
+
+  canUndo() {
+    return this.stateHistory.canUndo(this.state);
+  }
+
+  canRedo() {
+    return this.stateHistory.canRedo(this.state);
+  }
+
   reset() {
     this.state = this.getInitialState();
+    this.stateHistory.reset(this.state);
+    this.pageCache.clear();
     if (this.uiManager) {
       this.uiManager.updateAll(this.state);
     }
@@ -0,0 +1,98 @@
+// similarSearchDialog.js
+import { EventTypes } from "./eventTypes.js";
+
+// Asks whether a similar patent search keeps the current filters, then emits
+// SEARCH_SIMILAR_CONFIRMED with { item, keepFilters }. Built on first use,
+// like the command palette.
+export class SimilarSearchDialog {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.root = null;
+    this.message = null;
+    this.item = null;
+    this.previousFocus = null;
+  }
+
+  isOpen() {
+    return !!this.root && this.root.style.display !== 'none';
+  }
+
+  open(item) {
+    if (!this.root) this.build();
+    this.item = item;
+    this.previousFocus = document.activeElement;
+    this.message.textContent = `Start a new search for patents similar to ${item.publication_number}. `
+      + 'Its concept blocks replace the current ones either way.';
+    this.root.style.display = '';
+    this.root.querySelector('button')?.focus();
+  }
+
+  close() {
+    if (!this.root) return;
+    this.root.style.display = 'none';
+    this.item = null;
+    if (this.previousFocus?.focus) this.previousFocus.focus();
+  }
+
+  confirm(keepFilters) {
+    const item = this.item;
+    this.close();
+    if (item) this.eventBus.emit(EventTypes.SEARCH_SIMILAR_CONFIRMED, { item, keepFilters });
+  }
+
+  build() {
+    this.root = document.createElement('div');
+    this.root.className = 'similar-search-dialog';
+    this.root.style.display = 'none';
+    this.root.addEventListener('click', e => {
+      if (e.target === this.root) this.close();
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'similar-search-dialog_dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'similar-search-dialog-title');
+    // Keys pressed in the dialog never reach the review shortcuts, which
+    // would act on the open result behind it
+    dialog.addEventListener('keydown', e => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    });
+
+    const title = document.createElement('h3');
+    title.id = 'similar-search-dialog-title';
+    title.className = 'similar-search-dialog_title';
+    title.textContent = 'Search for similar patents';
+    dialog.appendChild(title);
+
+    this.message = document.createElement('p');
+    this.message.className = 'similar-search-dialog_message';
+    dialog.appendChild(this.message);
+
+    const actions = document.createElement('div');
+    actions.className = 'similar-search-dialog_actions';
+    [
+      ['Keep current filters', () => this.confirm(true)],
+      ['Start from no filters', () => this.confirm(false)],
+      ['Cancel', () => this.close()]
+    ].forEach(([label, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'similar-search-dialog_action';
+      button.textContent = label;
+      button.addEventListener('click', e => {
+        e.preventDefault();
+        handler();
+      });
+      actions.appendChild(button);
+    });
+    dialog.appendChild(actions);
+
+    this.root.appendChild(dialog);
+    document.body.appendChild(this.root);
+  }
+}
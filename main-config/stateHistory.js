@@ -0,0 +1,111 @@
+// stateHistory.js
+import { Logger } from "./logger.js";
+
+// Only the user-editable parts of the state are recorded. Search results,
+// pagination and the active item follow from these and are never undone.
+const TRACKED_KEYS = ["library", "method", "filters"];
+export const MAX_HISTORY_ENTRIES = 50;
+
+// Oldest entries go first; the top of each stack is its last element
+function trim(stack) {
+  if (stack.length > MAX_HISTORY_ENTRIES) {
+    stack.splice(0, stack.length - MAX_HISTORY_ENTRIES);
+  }
+}
+
+export default class StateHistory {
+  constructor() {
+    this.lastSnapshotKey = null;
+  }
+
+  static getInitialState() {
+    return {
+      past: [],
+      future: []
+    };
+  }
+
+  snapshot(state) {
+    return TRACKED_KEYS.reduce((snapshot, key) => {
+      snapshot[key] = state?.[key] === undefined ? null : JSON.parse(JSON.stringify(state[key]));
+      return snapshot;
+    }, {});
+  }
+
+  ensure(state) {
+    if (!state.history || !Array.isArray(state.history.past) || !Array.isArray(state.history.future)) {
+      state.history = StateHistory.getInitialState();
+    }
+    return state.history;
+  }
+
+  /**
+   * Forget the last committed snapshot, e.g. after a session load or reset.
+   * The stacks themselves live in state.history and are saved with the
+   * session, so a loaded session keeps them, cut to the cap.
+   */
+  reset(state) {
+    const history = this.ensure(state);
+    trim(history.past);
+    trim(history.future);
+    this.lastSnapshotKey = JSON.stringify(this.snapshot(state));
+  }
+
+  /**
+   * Push the previous snapshot onto the undo stack if the tracked state changed.
+   * Filters are often mutated in place before SessionState.update() is called,
+   * so the comparison is made against the last committed snapshot rather than
+   * against the state as it was when update() was entered.
+   */
+  record(state) {
+    const history = this.ensure(state);
+    const currentKey = JSON.stringify(this.snapshot(state));
+
+    if (this.lastSnapshotKey === null) {
+      this.lastSnapshotKey = currentKey;
+      return false;
+    }
+    if (currentKey === this.lastSnapshotKey) return false;
+
+    history.past.push(JSON.parse(this.lastSnapshotKey));
+    trim(history.past);
+    history.future = [];
+    this.lastSnapshotKey = currentKey;
+    return true;
+  }
+
+  undo(state) {
+    const history = this.ensure(state);
+    if (!history.past.length) return false;
+
+    history.future.push(this.snapshot(state));
+    this.apply(state, history.past.pop());
+    Logger.info('Undo applied, remaining undo steps:', history.past.length);
+    return true;
+  }
+
+  redo(state) {
+    const history = this.ensure(state);
+    if (!history.future.length) return false;
+
+    history.past.push(this.snapshot(state));
+    this.apply(state, history.future.pop());
+    Logger.info('Redo applied, remaining redo steps:', history.future.length);
+    return true;
+  }
+
+  apply(state, snapshot) {
+    TRACKED_KEYS.forEach(key => {
+      state[key] = JSON.parse(JSON.stringify(snapshot[key]));
+    });
+    this.lastSnapshotKey = JSON.stringify(this.snapshot(state));
+  }
+
+  canUndo(state) {
+    return !!state?.history?.past?.length;
+  }
+
+  canRedo(state) {
+    return !!state?.history?.future?.length;
+  }
+}
@@ -0,0 +1,84 @@
+// apiService.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import APIService from "../apiService.js";
+
+const hits = Array.from({ length: 30 }, (_, i) => ({ publication_number: `EP${100 + i}A1` }));
+const numbers = list => list.map(item => item.publication_number);
+
+// A paged backend that ignores excludePublications
+function createService() {
+  const service = new APIService(null);
+  service.requests = [];
+  service.makeRequest = async (endpoint, { body }) => {
+    service.requests.push(body);
+    return { results: hits.slice(body.offset, body.offset + body.limit), total: hits.length };
+  };
+  return service;
+}
+
+const input = excludePublications => ({ library: 'patents', filters: { excludePublications } });
+
+test('requests just the page when nothing is excluded', async () => {
+  const service = createService();
+  const page = await service.executeSearch(input([]), { page: 2, pageSize: 10 });
+  assert.deepEqual(numbers(page.results), numbers(hits.slice(10, 20)));
+  assert.equal(page.total, 30);
+  assert.equal(page.totalIsEstimate, false);
+  assert.equal(service.requests[0].offset, 10);
+});
+
+test('pads only the requested page when the backend ignores exclusions', async () => {
+  const service = createService();
+  const searchInput = input(['EP102', 'EP115B1']);
+  const first = await service.executeSearch(searchInput, { page: 1, pageSize: 10 });
+  const second = await service.executeSearch(searchInput, { page: 2, pageSize: 10 });
+
+  assert.equal(first.results.length, 10);
+  assert.equal(first.results.some(item => item.publication_number === 'EP102A1'), false);
+  assert.equal(second.results.length, 10);
+  assert.equal(second.results.some(item => item.publication_number === 'EP115A1'), false);
+  assert.deepEqual(service.requests.map(body => [body.offset, body.limit]), [[0, 12], [10, 12]]);
+  assert.deepEqual(service.requests[0].filters.excludePublications, ['EP102', 'EP115B1']);
+});
+
+test('trusts the backend when no excluded rows come back', async () => {
+  const service = new APIService(null);
+  service.makeRequest = async (endpoint, { body }) => {
+    const kept = hits.filter(item => item.publication_number !== 'EP102A1');
+    return { results: kept.slice(body.offset, body.offset + body.limit), total: kept.length };
+  };
+  const page = await service.executeSearch(input(['EP102', 'EP125']), { page: 1, pageSize: 10 });
+  assert.deepEqual(numbers(page.results), numbers(hits.slice(0, 11).filter((_, i) => i !== 2)));
+  assert.equal(page.total, 29);
+  assert.equal(page.totalIsEstimate, false);
+});
+
+test('estimates the total until every exclusion has turned up', async () => {
+  const service = createService();
+  const first = await service.executeSearch(input(['EP102', 'EP125']), { page: 1, pageSize: 10 });
+  assert.equal(first.total, 29);
+  assert.equal(first.totalIsEstimate, true);
+
+  const both = await service.executeSearch(input(['EP102', 'EP105']), { page: 1, pageSize: 10 });
+  assert.equal(both.total, 28);
+  assert.equal(both.totalIsEstimate, false);
+});
+
+test('fetches every page unpadded and drops excluded rows once', async () => {
+  const service = createService();
+  const { results, total } = await service.fetchAllResults(input(['EP102', 'EP125']), { pageSize: 10 });
+
+  assert.deepEqual(service.requests.map(body => [body.offset, body.limit]), [[0, 10], [10, 10], [20, 10]]);
+  assert.equal(results.length, 28);
+  assert.equal(total, 28);
+  assert.equal(results.some(item => ['EP102A1', 'EP125A1'].includes(item.publication_number)), false);
+});
+
+test('stops fetching once the limit is covered', async () => {
+  const service = createService();
+  const { results, total } = await service.fetchAllResults(input(['EP102']), { pageSize: 5, limit: 8 });
+  assert.equal(results.length, 8);
+  assert.equal(total, 29);
+  assert.equal(service.requests.length, 2);
+});
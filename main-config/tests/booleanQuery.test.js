@@ -0,0 +1,111 @@
+// booleanQuery.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addNode,
+  collectTerms,
+  combineQueries,
+  createGroup,
+  createTerm,
+  parseQueryString,
+  removeNode,
+  serializeBooleanQuery,
+  toQueryString,
+  updateNode
+} from "../booleanQuery.js";
+import { conceptBlocksToQuery, createConceptBlock } from "../conceptBlocks.js";
+
+// (sensor OR "humidity probe") AND NOT medical
+function buildTree() {
+  const root = createGroup('AND');
+  const group = createGroup('OR');
+  let tree = addNode(root, null, group);
+  tree = addNode(tree, group.id, createTerm('sensor'));
+  tree = addNode(tree, group.id, createTerm('humidity probe'));
+  return addNode(tree, null, createTerm('medical', true));
+}
+
+test('serializes a tree without ids, pruning blank terms and empty groups', () => {
+  let tree = addNode(buildTree(), null, createGroup('OR'));
+  tree = addNode(tree, null, createTerm('  '));
+
+  assert.deepEqual(serializeBooleanQuery(tree), {
+    operator: 'AND',
+    negate: false,
+    children: [
+      {
+        operator: 'OR',
+        negate: false,
+        children: [
+          { term: 'sensor', negate: false },
+          { term: 'humidity probe', negate: false }
+        ]
+      },
+      { term: 'medical', negate: true }
+    ]
+  });
+  assert.equal(serializeBooleanQuery(createGroup('AND')), null);
+});
+
+test('edits return a new tree and leave the original alone', () => {
+  const tree = buildTree();
+  const before = JSON.stringify(tree);
+  const group = tree.children[0];
+
+  const updated = updateNode(tree, group.id, { operator: 'AND', negate: true });
+  const removed = removeNode(tree, group.children[0].id);
+
+  assert.equal(JSON.stringify(tree), before);
+  assert.equal(updated.children[0].operator, 'AND');
+  assert.equal(updated.children[0].negate, true);
+  assert.deepEqual(removed.children[0].children.map(child => child.value), ['humidity probe']);
+  assert.equal(removeNode(tree, tree.id), null);
+});
+
+test('formats a readable query string, quoting phrases', () => {
+  assert.equal(toQueryString(buildTree()), '(sensor OR "humidity probe") AND NOT medical');
+  assert.equal(toQueryString(null), '');
+});
+
+test('combines trees and serialized queries under one AND', () => {
+  const concepts = conceptBlocksToQuery([createConceptBlock('Device', ['sensor'])]);
+
+  assert.equal(combineQueries(null, undefined), null);
+  assert.deepEqual(combineQueries(concepts), concepts);
+
+  const combined = combineQueries(buildTree(), concepts);
+  assert.equal(combined.operator, 'AND');
+  assert.equal(combined.children.length, 2);
+  assert.deepEqual(combined.children[1], concepts);
+});
+
+test('collects terms with nested negation applied', () => {
+  let tree = buildTree();
+  const negated = createGroup('OR', true);
+  tree = addNode(tree, null, negated);
+  tree = addNode(tree, negated.id, createTerm('implant'));
+  tree = addNode(tree, negated.id, createTerm('wearable', true));
+
+  assert.deepEqual(collectTerms(tree), {
+    include: ['sensor', 'humidity probe', 'wearable'],
+    exclude: ['medical', 'implant']
+  });
+});
+
+test('parses a query string back into the same tree', () => {
+  const text = '(sensor OR "humidity probe") AND NOT medical';
+  const { tree, errors } = parseQueryString(text);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(serializeBooleanQuery(tree), serializeBooleanQuery(buildTree()));
+  assert.equal(toQueryString(parseQueryString('NOT (a OR b)').tree), 'NOT (a OR b)');
+  assert.equal(toQueryString(parseQueryString('a b').tree), 'a AND b');
+});
+
+test('reports unbalanced parentheses and mixed operators', () => {
+  assert.deepEqual(parseQueryString('(a OR b').errors.map(error => error.message), ['Missing ")"']);
+  assert.deepEqual(parseQueryString('a OR b)').errors.map(error => error.message), ['Unmatched ")"']);
+  assert.deepEqual(parseQueryString('a AND b OR c').errors, [
+    { message: 'Use parentheses to mix AND and OR', start: 8, end: 10 }
+  ]);
+});
@@ -0,0 +1,52 @@
+// claimsParser.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findClaimReferences, parseClaims, buildClaimTree, isIndependentClaim } from "../claimsParser.js";
+
+const claims = [
+  '1. A pump comprising a housing.',
+  '2. The pump according to claim 1, wherein the housing is steel.',
+  'The housing being coated.',
+  '3) The pump of any one of claims 1 to 2, further comprising a seal.',
+  '[4] A method of operating a pump.',
+  '5. The method of claim 4 or claim 9.'
+].join('\n');
+
+const shape = nodes => nodes.map(node => [node.number, shape(node.children)]);
+
+test('finds single claims, lists and ranges', () => {
+  assert.deepEqual(findClaimReferences('according to claim 3', 5), [3]);
+  assert.deepEqual(findClaimReferences('of any one of claims 1 to 3 or 5', 7), [1, 2, 3, 5]);
+  assert.deepEqual(findClaimReferences('of claims 1-2, 4 and 4', 6), [1, 2, 4]);
+});
+
+test('only refers to earlier claims', () => {
+  assert.deepEqual(findClaimReferences('as in claim 2 or claim 8', 4), [2]);
+  assert.deepEqual(findClaimReferences('as in claim 4', 4), []);
+});
+
+test('does not expand implausibly wide ranges', () => {
+  assert.deepEqual(findClaimReferences('claims 1 to 5000', 9000), [1]);
+});
+
+test('splits numbered claims and keeps continuation lines', () => {
+  const parsed = parseClaims(claims);
+  assert.deepEqual(parsed.map(claim => claim.number), [1, 2, 3, 4, 5]);
+  assert.equal(parsed[1].text, 'The pump according to claim 1, wherein the housing is steel.\nThe housing being coated.');
+  assert.deepEqual(parsed.map(claim => claim.dependsOn), [[], [1], [1, 2], [], [4]]);
+});
+
+test('numbers unnumbered claims from the API in order', () => {
+  const parsed = parseClaims(['A pump.', 'The pump of claim 1.']);
+  assert.deepEqual(parsed.map(claim => [claim.number, claim.dependsOn]), [[1, []], [2, [1]]]);
+  assert.deepEqual(parseClaims(''), []);
+});
+
+test('nests dependent claims under the first claim they refer to', () => {
+  const parsed = parseClaims(claims);
+  assert.deepEqual(shape(buildClaimTree(parsed)), [
+    [1, [[2, []], [3, []]]],
+    [4, [[5, []]]]
+  ]);
+  assert.deepEqual(parsed.filter(isIndependentClaim).map(claim => claim.number), [1, 4]);
+});
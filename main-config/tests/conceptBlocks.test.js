@@ -0,0 +1,83 @@
+// conceptBlocks.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeConceptBlocks,
+  addConceptBlock,
+  renameConceptBlock,
+  mergeConceptBlocks,
+  addKeywordsToBlock,
+  removeKeywordFromBlock,
+  flattenConceptKeywords,
+  conceptBlocksToQuery
+} from "../conceptBlocks.js";
+
+const blocks = [
+  { id: 'a', name: 'Sensor', keywords: ['sensor', 'detector'] },
+  { id: 'b', name: 'Heart', keywords: ['heart rate', 'pulse'] },
+  { id: 'c', name: 'Wearable', keywords: ['wearable', 'sensor'] }
+];
+
+test('gives API blocks ids, trimmed keywords and numbered default names', () => {
+  const normalized = normalizeConceptBlocks([
+    { name: ' Sensor ', keywords: [' sensor', 'sensor', '', 'detector'] },
+    { keywords: ['pulse'] },
+    { name: 'Empty', keywords: [] }
+  ], 2);
+
+  assert.deepEqual(normalized.map(({ name, keywords }) => ({ name, keywords })), [
+    { name: 'Sensor', keywords: ['sensor', 'detector'] },
+    { name: 'Concept 4', keywords: ['pulse'] }
+  ]);
+  assert.notEqual(normalized[0].id, normalized[1].id);
+  assert.deepEqual(normalizeConceptBlocks(null), []);
+});
+
+test('adds and renames blocks, ignoring blank names', () => {
+  const added = addConceptBlock(blocks);
+  assert.equal(added.length, 4);
+  assert.equal(added[3].name, 'Concept 4');
+  assert.deepEqual(added[3].keywords, []);
+
+  assert.equal(renameConceptBlock(blocks, 'b', '  Pulse ')[1].name, 'Pulse');
+  assert.equal(renameConceptBlock(blocks, 'b', '   '), blocks);
+});
+
+test('merges selected blocks into the place of the first one', () => {
+  const merged = mergeConceptBlocks(blocks, ['c', 'a']);
+  assert.deepEqual(merged.map(block => block.name), ['Sensor / Wearable', 'Heart']);
+  assert.deepEqual(merged[0].keywords, ['sensor', 'detector', 'wearable']);
+
+  assert.equal(mergeConceptBlocks(blocks, ['a']), blocks);
+  assert.equal(mergeConceptBlocks(blocks, ['a', 'c'], 'Device')[0].name, 'Device');
+});
+
+test('adds keywords without duplicates and removes single keywords', () => {
+  assert.deepEqual(addKeywordsToBlock(blocks, 'a', ['probe', 'sensor'])[0].keywords, ['sensor', 'detector', 'probe']);
+  assert.deepEqual(removeKeywordFromBlock(blocks, 'b', 'pulse')[1].keywords, ['heart rate']);
+  assert.deepEqual(removeKeywordFromBlock(blocks, 'b', 'pulse')[0], blocks[0]);
+});
+
+test('never mutates the blocks passed in', () => {
+  const copy = structuredClone(blocks);
+  mergeConceptBlocks(blocks, ['a', 'b']);
+  renameConceptBlock(blocks, 'a', 'Other');
+  addKeywordsToBlock(blocks, 'a', ['probe']);
+  removeKeywordFromBlock(blocks, 'a', 'sensor');
+  assert.deepEqual(blocks, copy);
+});
+
+test('flattens keywords and builds an AND of ORs', () => {
+  assert.deepEqual(flattenConceptKeywords(blocks), ['sensor', 'detector', 'heart rate', 'pulse', 'wearable']);
+
+  const term = value => ({ term: value, negate: false });
+  assert.deepEqual(conceptBlocksToQuery(blocks.slice(0, 2)), {
+    operator: 'AND',
+    negate: false,
+    children: [
+      { operator: 'OR', negate: false, children: [term('sensor'), term('detector')] },
+      { operator: 'OR', negate: false, children: [term('heart rate'), term('pulse')] }
+    ]
+  });
+  assert.equal(conceptBlocksToQuery([{ id: 'x', name: 'Empty', keywords: [] }]), null);
+});
@@ -0,0 +1,35 @@
+// highlight.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getHighlightTerms } from "../highlight.js";
+
+const descriptive = value => ({ selected: 'descriptive', description: { value } });
+
+test('collects include and exclude keywords from the filters', () => {
+  const terms = getHighlightTerms([
+    { name: 'keywords-include', value: ['Sensor', 'sensor', 'heat pump'] },
+    { name: 'keywords-exclude', value: ['medical', 'sensor'] }
+  ]);
+  assert.deepEqual(terms, { include: ['Sensor', 'heat pump'], exclude: ['medical'] });
+});
+
+test('adds the content words of a descriptive search', () => {
+  const terms = getHighlightTerms(
+    [{ name: 'keywords-include', value: ['sensor'] }],
+    descriptive('A wearable sensor for measuring the heart rate of 2 runners')
+  );
+  assert.deepEqual(terms.include, ['sensor', 'wearable', 'measuring', 'heart', 'rate', 'runners']);
+});
+
+test('leaves description words that are excluded as warnings', () => {
+  const terms = getHighlightTerms(
+    [{ name: 'keywords-exclude', value: ['medical'] }],
+    descriptive('Medical imaging probe')
+  );
+  assert.deepEqual(terms, { include: ['imaging', 'probe'], exclude: ['medical'] });
+});
+
+test('ignores the description for other methods', () => {
+  const method = { selected: 'basic', description: { value: 'wearable sensor' } };
+  assert.deepEqual(getHighlightTerms([], method), { include: [], exclude: [] });
+});
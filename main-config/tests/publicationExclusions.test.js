@@ -0,0 +1,54 @@
+// publicationExclusions.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  EXCLUDE_FILTER,
+  getExcludedPublications,
+  addExclusions,
+  removeExclusion,
+  applyExclusions
+} from "../publicationExclusions.js";
+
+const keywords = { name: 'keywords-include', order: 0, value: ['sensor'] };
+
+test('creates the filter after the others and skips duplicates across kind codes', () => {
+  const filters = addExclusions([keywords], [
+    { publication_number: 'EP1234567A1', title: 'Sensor' },
+    { publication_number: 'EP1234567B1', title: 'Sensor' },
+    { publication_number: 'US7654321' }
+  ]);
+
+  assert.deepEqual(filters[1], {
+    name: EXCLUDE_FILTER,
+    order: 1,
+    value: [
+      { publication_number: 'EP1234567A1', title: 'Sensor' },
+      { publication_number: 'US7654321', title: '' }
+    ]
+  });
+  assert.equal(filters[0], keywords);
+});
+
+test('adds to an existing filter and returns the same filters when nothing is new', () => {
+  const filters = addExclusions([keywords], [{ publication_number: 'EP1A1' }]);
+  const more = addExclusions(filters, [{ publication_number: 'EP2A1' }, { publication_number: 'EP1B1' }]);
+
+  assert.deepEqual(getExcludedPublications(more).map(entry => entry.publication_number), ['EP1A1', 'EP2A1']);
+  assert.equal(addExclusions(more, [{ publication_number: 'ep-2' }, {}]), more);
+  assert.equal(getExcludedPublications(filters).length, 1);
+});
+
+test('removes an exclusion by number and drops the filter with the last one', () => {
+  const filters = addExclusions([keywords], [{ publication_number: 'EP1A1' }, { publication_number: 'EP2A1' }]);
+
+  const one = removeExclusion(filters, 'EP1B1');
+  assert.deepEqual(getExcludedPublications(one).map(entry => entry.publication_number), ['EP2A1']);
+  assert.deepEqual(removeExclusion(one, 'EP2A1'), [keywords]);
+  assert.deepEqual(removeExclusion(null, 'EP2A1'), []);
+});
+
+test('filters results regardless of kind code', () => {
+  const results = [{ publication_number: 'EP1A1' }, { publication_number: 'EP2B1' }];
+  assert.deepEqual(applyExclusions(results, ['EP2']), [{ publication_number: 'EP1A1' }]);
+  assert.equal(applyExclusions(results, []), results);
+});
@@ -0,0 +1,123 @@
+// queryLanguage.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQueryText, serializeFilters } from "../queryLanguage.js";
+import { serializeBooleanQuery } from "../booleanQuery.js";
+
+// Generated ids differ on every parse; compare concept blocks and boolean
+// trees by content
+function withoutIds(filters) {
+  return JSON.parse(JSON.stringify(filters, (key, value) => (key === 'id' ? undefined : value)));
+}
+
+function asFilterList(parsed) {
+  return Object.entries(parsed).map(([name, value]) =>
+    name === 'date' ? { name, type: value.type, value: value.value } : { name, value }
+  );
+}
+
+function roundTrip(filters) {
+  const { filters: parsed, errors } = parseQueryText(serializeFilters(filters));
+  assert.deepEqual(errors, []);
+  return asFilterList(parsed);
+}
+
+test('parses fields, negated keywords and bare words', () => {
+  const { filters, errors } = parseQueryText('sensor -kw:automotive cpc:F28D* assignee:"Siemens AG" priority:2015..2020-06');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, {
+    'keywords-include': ['sensor'],
+    'keywords-exclude': ['automotive'],
+    code: ['F28D*'],
+    assignee: ['Siemens AG'],
+    date: { type: 'priority*date', value: { date_from: '2015-01-01', date_to: '2020-06-30' } }
+  });
+});
+
+test('reports errors with their position', () => {
+  const { errors } = parseQueryText('kw:sensor color:red -cpc:F28D priority:2020..2019');
+
+  assert.deepEqual(errors.map(error => [error.start, error.end]), [[10, 15], [20, 21], [39, 49]]);
+});
+
+test('round-trips the standard filters', () => {
+  const filters = [
+    { name: 'keywords-include', value: ['heat exchanger', 'fin'] },
+    { name: 'keywords-exclude', value: ['automotive'] },
+    { name: 'code', value: ['F28D*'] },
+    { name: 'assignee', value: ['Siemens AG'] },
+    { name: 'date', type: 'filing*date', value: { date_from: '2015-01-01', date_to: '' } }
+  ];
+
+  assert.deepEqual(roundTrip(filters), filters);
+});
+
+test('escapes quotes and backslashes inside values', () => {
+  const filters = [{ name: 'keywords-include', value: ['a"b c', 'back\\slash', 'AND'] }];
+
+  assert.equal(serializeFilters(filters), 'kw:"a\\"b c" kw:"back\\\\slash" kw:"AND"');
+  assert.deepEqual(roundTrip(filters), filters);
+});
+
+test('keeps multi-word inventor names whole', () => {
+  const filters = [{ name: 'inventor', value: [{ first_name: 'Jan', last_name: 'van Berg' }] }];
+
+  assert.equal(serializeFilters(filters), 'inventor:"van Berg, Jan"');
+  assert.deepEqual(roundTrip(filters), filters);
+  assert.deepEqual(parseQueryText('inventor:"Jane Doe"').filters.inventor, [{ first_name: 'Jane', last_name: 'Doe' }]);
+  assert.equal(parseQueryText('inventor:"Jan van Berg"').errors.length, 1);
+});
+
+test('round-trips concept blocks and the boolean query', () => {
+  const filters = [
+    {
+      name: 'keywords-concepts',
+      value: [
+        { id: 'cb-1', name: 'Cooling (passive)', keywords: ['fin', 'heat sink'] },
+        { id: 'cb-2', name: 'Empty', keywords: [] }
+      ]
+    },
+    {
+      name: 'keywords-boolean',
+      value: {
+        id: 'bq-1',
+        type: 'group',
+        operator: 'AND',
+        negate: false,
+        children: [
+          {
+            id: 'bq-2',
+            type: 'group',
+            operator: 'OR',
+            negate: true,
+            children: [
+              { id: 'bq-3', type: 'term', value: 'pump', negate: false },
+              { id: 'bq-4', type: 'term', value: 'oil "free"', negate: true }
+            ]
+          },
+          { id: 'bq-5', type: 'term', value: 'valve', negate: false }
+        ]
+      }
+    }
+  ];
+
+  assert.equal(
+    serializeFilters(filters),
+    'concept:"Cooling (passive)"(fin OR "heat sink") concept:Empty() bool:(NOT (pump OR NOT "oil \\"free\\"") AND valve)'
+  );
+  const parsed = roundTrip(filters);
+  assert.deepEqual(withoutIds(parsed), withoutIds(filters));
+  assert.deepEqual(serializeBooleanQuery(parsed[1].value), serializeBooleanQuery(filters[1].value));
+});
+
+test('rejects concept groups that are not alternatives', () => {
+  const { errors } = parseQueryText('concept:Cooling(fin AND sink)');
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /alternatives/);
+});
+
+test('points boolean syntax errors at the text position', () => {
+  const { errors } = parseQueryText('kw:x bool:(a AND b OR c)');
+  assert.deepEqual(errors.map(error => [error.start, error.end]), [[19, 21]]);
+});
@@ -0,0 +1,61 @@
+// relevanceFeedback.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_FEEDBACK_EXAMPLES,
+  collectFeedback,
+  significantWords,
+  suggestExcludeKeywords
+} from "../relevanceFeedback.js";
+
+function annotation(number, tags, updatedAt, title = `Title ${number}`) {
+  return { starred: false, tags, note: '', item: { publication_number: number, title, abstract: '' }, updated_at: updatedAt };
+}
+
+test('collects relevant and irrelevant examples, most recent first', () => {
+  const feedback = collectFeedback({
+    EP1: annotation('EP1', ['relevant'], '2024-01-01T00:00:00Z'),
+    EP2: annotation('EP2', ['not relevant'], '2024-01-02T00:00:00Z'),
+    EP3: annotation('EP3', ['relevant', 'prior art'], '2024-01-03T00:00:00Z'),
+    EP4: { starred: true, tags: ['relevant'], note: '' }
+  });
+
+  assert.deepEqual(feedback.positive.map(example => example.publication_number), ['EP3', 'EP1']);
+  assert.deepEqual(feedback.negative, [{ publication_number: 'EP2', title: 'Title EP2', abstract: '' }]);
+  assert.deepEqual(collectFeedback(null), { positive: [], negative: [] });
+});
+
+test(`keeps the newest ${MAX_FEEDBACK_EXAMPLES} examples per mark`, () => {
+  const annotations = {};
+  for (let i = 0; i < MAX_FEEDBACK_EXAMPLES + 3; i++) {
+    annotations[`EP${i}`] = annotation(`EP${i}`, ['relevant'], `2024-01-${String(i + 1).padStart(2, '0')}`);
+  }
+  const { positive } = collectFeedback(annotations);
+  assert.equal(positive.length, MAX_FEEDBACK_EXAMPLES);
+  assert.equal(positive[0].publication_number, `EP${MAX_FEEDBACK_EXAMPLES + 2}`);
+});
+
+test('keeps lower-cased content words only', () => {
+  assert.deepEqual(significantWords('The Heart-rate SENSOR, wherein said 2024 pad uses optics'), ['heart-rate', 'sensor', 'uses', 'optics']);
+  assert.deepEqual(significantWords(null), []);
+});
+
+test('suggests words shared by irrelevant examples that nothing relevant uses', () => {
+  const feedback = {
+    positive: [{ title: 'Optical heart sensor', abstract: '' }],
+    negative: [
+      { title: 'Automotive tyre pressure sensor', abstract: 'Tyre pressure tyre' },
+      { title: 'Tyre pressure gauge', abstract: 'Automotive gauge' },
+      { title: 'Garden hose', abstract: '' }
+    ]
+  };
+
+  // "gauge" shows up twice but in one example only
+  assert.deepEqual(suggestExcludeKeywords(feedback, { keywords: ['pressure'] }), ['automotive', 'tyre']);
+  assert.deepEqual(suggestExcludeKeywords(feedback, { description: 'A tyre gauge', keywords: ['pressure'] }), ['automotive']);
+});
+
+test('takes every new word from a single irrelevant example', () => {
+  const feedback = { positive: [], negative: [{ title: 'Garden hose', abstract: '' }] };
+  assert.deepEqual(suggestExcludeKeywords(feedback), ['garden', 'hose']);
+});
@@ -0,0 +1,66 @@
+// resultAnnotations.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RESULT_TAGS,
+  getAnnotation,
+  toggleStar,
+  toggleTag,
+  addTag,
+  setNote,
+  collectTags
+} from "../resultAnnotations.js";
+
+const item = { publication_number: 'US1234567B2', title: 'Sensor', abstract: 'A sensor', claims: ['A claim'] };
+const exclusive = ['relevant', 'not relevant'];
+
+test('stars a result with a short copy of it', () => {
+  const annotations = toggleStar({}, item);
+  const annotation = annotations['US1234567B2'];
+
+  assert.equal(annotation.starred, true);
+  assert.deepEqual(annotation.item, { publication_number: 'US1234567B2', title: 'Sensor', abstract: 'A sensor', assignee: '' });
+  assert.ok(annotation.updated_at);
+});
+
+test('drops entries that no longer hold anything', () => {
+  const starred = toggleStar({}, item);
+  assert.deepEqual(toggleStar(starred, item), {});
+
+  const noted = setNote({}, item, '  check claim 3 ');
+  assert.equal(noted['US1234567B2'].note, 'check claim 3');
+  assert.deepEqual(setNote(noted, item, '   '), {});
+});
+
+test('toggles tags and drops the exclusive ones', () => {
+  let annotations = toggleTag({}, item, 'relevant', exclusive);
+  annotations = toggleTag(annotations, item, 'prior art', exclusive);
+  annotations = toggleTag(annotations, item, 'not relevant', exclusive);
+  assert.deepEqual(getAnnotation(annotations, 'US1234567B2').tags, ['prior art', 'not relevant']);
+
+  annotations = toggleTag(annotations, item, 'not relevant', exclusive);
+  assert.deepEqual(getAnnotation(annotations, 'US1234567B2').tags, ['prior art']);
+  assert.equal(toggleTag(annotations, item, '  '), annotations);
+});
+
+test('only ever adds a tag in bulk', () => {
+  const tagged = addTag({}, item, 'relevant', exclusive);
+  assert.equal(addTag(tagged, item, 'relevant', exclusive)['US1234567B2'].tags.length, 1);
+  assert.deepEqual(addTag(tagged, item, 'not relevant', exclusive)['US1234567B2'].tags, ['not relevant']);
+});
+
+test('ignores items without a publication number and never mutates the map', () => {
+  const annotations = toggleStar({}, item);
+  const copy = structuredClone(annotations);
+  toggleTag(annotations, item, 'relevant');
+  setNote(annotations, item, 'note');
+  assert.deepEqual(annotations, copy);
+  assert.equal(toggleStar(annotations, {}), annotations);
+  assert.deepEqual(getAnnotation(null, 'US1'), { starred: false, tags: [], note: '' });
+});
+
+test('collects the preset tags first, then the ones in use', () => {
+  const annotations = toggleTag(toggleTag({}, item, 'prior art'), { publication_number: 'EP1A1' }, 'relevant');
+  assert.deepEqual(collectTags(annotations), [...RESULT_TAGS, 'prior art']);
+  assert.deepEqual(collectTags(null), RESULT_TAGS);
+});
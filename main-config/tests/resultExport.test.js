@@ -0,0 +1,74 @@
+// resultExport.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatResults } from "../resultExport.js";
+
+const item = {
+  publication_number: 'US-1234567 B2',
+  title: 'Heat "exchanger", with fins',
+  abstract: '<p>A plate\nheat exchanger.</p>',
+  inventors: ['Jan van Berg', 'Jane Doe'],
+  assignee: 'Siemens AG',
+  publication_date: '2021-03-04'
+};
+const fields = ['publication_number', 'title', 'abstract', 'inventors', 'assignee', 'publication_date'];
+
+test('quotes CSV cells with commas, quotes and line breaks', () => {
+  const csv = formatResults([item], fields, 'csv');
+
+  assert.ok(csv.startsWith('﻿'));
+  assert.deepEqual(csv.slice(1).split('\r\n'), [
+    fields.join(','),
+    'US-1234567 B2,"Heat ""exchanger"", with fins",A plate heat exchanger.,Jan van Berg; Jane Doe,Siemens AG,2021-03-04'
+  ]);
+});
+
+test('keeps spreadsheet formulas from running', () => {
+  const csv = formatResults([{ title: '=HYPERLINK("http://x")' }, { title: '-1' }], ['title'], 'csv');
+
+  assert.deepEqual(csv.slice(1).split('\r\n'), ['title', '"\'=HYPERLINK(""http://x"")"', "'-1"]);
+});
+
+test('escapes BibTeX special characters', () => {
+  const bibtex = formatResults([{ publication_number: 'US1', title: '50% of {a} & b_c #1 $2 a\\b ~x^' }], ['publication_number', 'title'], 'bibtex');
+
+  assert.equal(bibtex, [
+    '@patent{US1,',
+    '  title = {50\\% of \\{a\\} \\& b\\_c \\#1 \\$2 a\\textbackslash{}b \\textasciitilde{}x\\textasciicircum{}},',
+    '  number = {US1}',
+    '}'
+  ].join('\n'));
+});
+
+test('gives BibTeX entries unique keys', () => {
+  const bibtex = formatResults([{ publication_number: 'US-1' }, { publication_number: 'US 1' }, {}], ['publication_number'], 'bibtex');
+
+  assert.deepEqual(bibtex.match(/@patent\{[^,]+/g), ['@patent{US1', '@patent{US1a', '@patent{result3']);
+});
+
+test('writes one RIS line per value with markup and line breaks removed', () => {
+  const ris = formatResults([item], fields, 'ris');
+
+  assert.deepEqual(ris.split('\r\n'), [
+    'TY  - PAT',
+    'TI  - Heat "exchanger", with fins',
+    'AU  - Jan van Berg',
+    'AU  - Jane Doe',
+    'PB  - Siemens AG',
+    'PY  - 2021',
+    'DA  - 2021-03-04',
+    'M1  - US-1234567 B2',
+    'AB  - A plate heat exchanger.',
+    'ER  - '
+  ]);
+});
+
+test('writes only the given fields to JSON', () => {
+  assert.deepEqual(JSON.parse(formatResults([item], ['title', 'status'], 'json')), [
+    { title: item.title, status: null }
+  ]);
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => formatResults([item], fields, 'xml'), /Unknown export format "xml"/);
+});
@@ -0,0 +1,46 @@
+// resultFacets.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeFacets, parseInventorName } from "../resultFacets.js";
+
+const items = [
+  { assignee: 'Siemens AG', inventors: ['Jan van Berg', 'Ann Lee'], filing_date: '2019-03-01', cpc_codes: 'A61B 5/02; G06F 1/16' },
+  { assignee: ['Siemens AG', 'Bosch GmbH'], inventors: 'Ann Lee', filing_date: '2020-05-10', cpc: ['A61B 5/02'] },
+  { assignee: 'Bosch GmbH, Siemens AG', priority_date: '2018-01-01', codes: 'H04W 4/80' }
+];
+
+test('counts every field whether it is a string, a list or separated text', () => {
+  const facets = computeFacets(items);
+
+  assert.deepEqual(facets.assignee, [
+    { value: 'Siemens AG', count: 3 },
+    { value: 'Bosch GmbH', count: 2 }
+  ]);
+  assert.deepEqual(facets.inventor, [
+    { value: 'Ann Lee', count: 2 },
+    { value: 'Jan van Berg', count: 1 }
+  ]);
+  assert.deepEqual(facets.code, [
+    { value: 'A61B 5/02', count: 2 },
+    { value: 'G06F 1/16', count: 1 },
+    { value: 'H04W 4/80', count: 1 }
+  ]);
+});
+
+test('counts years from filing dates only', () => {
+  assert.deepEqual(computeFacets(items).year, [
+    { value: '2019', count: 1 },
+    { value: '2020', count: 1 }
+  ]);
+});
+
+test('keeps the top values up to the limit', () => {
+  assert.deepEqual(computeFacets(items, 1).code, [{ value: 'A61B 5/02', count: 2 }]);
+  assert.deepEqual(computeFacets(null).assignee, []);
+});
+
+test('splits the last word of an inventor name off as the last name', () => {
+  assert.deepEqual(parseInventorName(' Jane  Q. Doe '), { first_name: 'Jane Q.', last_name: 'Doe' });
+  assert.equal(parseInventorName('Madonna'), null);
+  assert.equal(parseInventorName(null), null);
+});
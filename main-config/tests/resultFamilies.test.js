@@ -0,0 +1,40 @@
+// resultFamilies.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizePublicationNumber, getFamilyKey, groupByFamily } from "../resultFamilies.js";
+
+const numbers = list => list.map(item => item.publication_number);
+
+test('drops the kind code and separators from publication numbers', () => {
+  assert.equal(normalizePublicationNumber('EP1234567A1'), 'EP1234567');
+  assert.equal(normalizePublicationNumber('ep-1234567-b1'), 'EP1234567');
+  assert.equal(normalizePublicationNumber('US 2020/0123456 A'), 'US20200123456');
+  assert.equal(normalizePublicationNumber('EP1234567'), 'EP1234567');
+  assert.equal(normalizePublicationNumber(null), '');
+});
+
+test('keys on the family id when the API has one', () => {
+  assert.equal(getFamilyKey({ publication_number: 'EP1A1', family_id: 42 }), 'family:42');
+  assert.equal(getFamilyKey({ publication_number: 'EP1A1', family: 'F7' }), 'family:F7');
+  assert.equal(getFamilyKey({ publication_number: 'EP1A1', family_id: '' }), 'number:EP1');
+});
+
+test('groups members under the first-ranked one, in order of appearance', () => {
+  const items = [
+    { publication_number: 'EP100A1' },
+    { publication_number: 'US200B2', family_id: 9 },
+    { publication_number: 'EP100B1' },
+    { publication_number: 'WO300A1', family_id: 9 },
+    { publication_number: 'DE400A1' }
+  ];
+  const groups = groupByFamily(items);
+
+  assert.deepEqual(groups.map(group => group.key), ['number:EP100', 'family:9', 'number:DE400']);
+  assert.deepEqual(groups.map(group => group.representative.publication_number), ['EP100A1', 'US200B2', 'DE400A1']);
+  assert.deepEqual(numbers(groups[0].members), ['EP100A1', 'EP100B1']);
+  assert.deepEqual(numbers(groups[1].members), ['US200B2', 'WO300A1']);
+});
+
+test('groups nothing for a missing list', () => {
+  assert.deepEqual(groupByFamily(null), []);
+});
@@ -0,0 +1,34 @@
+// resultRefine.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRefinementTerms, refineResults } from "../resultRefine.js";
+
+const items = [
+  { publication_number: 'A', title: 'Heat exchanger with fins', abstract: 'A plate heat exchanger.' },
+  { publication_number: 'B', title: 'Pump', claims: '<claim><claim-text>1. A pump with a heat sink.</claim-text></claim>' },
+  { publication_number: 'C', title: 'Valve', inventors: ['Jan van Berg'], assignee: 'Siemens AG' }
+];
+const numbers = list => list.map(item => item.publication_number);
+
+test('splits words and quoted phrases, lower-cased', () => {
+  assert.deepEqual(parseRefinementTerms('Heat "Heat Sink"  pump'), ['heat', 'heat sink', 'pump']);
+  assert.deepEqual(parseRefinementTerms(null), []);
+});
+
+test('keeps results containing every term in any searchable field', () => {
+  assert.deepEqual(numbers(refineResults(items, 'heat')), ['A', 'B']);
+  assert.deepEqual(numbers(refineResults(items, 'heat pump')), ['B']);
+  assert.deepEqual(numbers(refineResults(items, 'siemens berg')), ['C']);
+});
+
+test('matches claim text, not markup', () => {
+  assert.deepEqual(numbers(refineResults(items, '"heat sink"')), ['B']);
+  assert.deepEqual(numbers(refineResults(items, 'claim-text')), []);
+});
+
+test('returns every result for empty text', () => {
+  const refined = refineResults(items, '  ');
+  assert.notEqual(refined, items);
+  assert.deepEqual(numbers(refined), ['A', 'B', 'C']);
+  assert.deepEqual(refineResults(null, 'heat'), []);
+});
@@ -0,0 +1,47 @@
+// resultSort.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidSort, nextSort, sortResults } from "../resultSort.js";
+
+const items = [
+  { publication_number: 'A', priority_date: '2019-05-01', assignee: ['beta corp'], score: 0.4 },
+  { publication_number: 'B', priority_date: '', assignee: 'Alpha Inc', score: 0.9 },
+  { publication_number: 'C', priority_date: '2021-01-10', score: '0.7' },
+  { publication_number: 'D', priority_date: '2019-05-01', assignee: 'alpha inc', score: 0.4 }
+];
+const numbers = list => list.map(item => item.publication_number);
+
+test('sorts dates newest first and keeps ties in API order', () => {
+  assert.deepEqual(numbers(sortResults(items, { field: 'priority_date', direction: 'desc' })), ['C', 'A', 'D', 'B']);
+});
+
+test('puts items missing the field last in both directions', () => {
+  assert.deepEqual(numbers(sortResults(items, { field: 'priority_date', direction: 'asc' })), ['A', 'D', 'C', 'B']);
+  assert.deepEqual(numbers(sortResults(items, { field: 'assignee', direction: 'desc' })), ['A', 'B', 'D', 'C']);
+});
+
+test('compares text case-insensitively and scores as numbers', () => {
+  assert.deepEqual(numbers(sortResults(items, { field: 'assignee', direction: 'asc' })), ['B', 'D', 'A', 'C']);
+  assert.deepEqual(numbers(sortResults(items, { field: 'score', direction: 'desc' })), ['B', 'C', 'A', 'D']);
+});
+
+test('returns a copy and leaves API order without a sort', () => {
+  const sorted = sortResults(items, null);
+  assert.notEqual(sorted, items);
+  assert.deepEqual(numbers(sorted), ['A', 'B', 'C', 'D']);
+  assert.deepEqual(sortResults(null, null), []);
+});
+
+test('toggles the active column and starts others at their default', () => {
+  assert.deepEqual(nextSort(null, 'title'), { field: 'title', direction: 'asc' });
+  assert.deepEqual(nextSort(null, 'grant_date'), { field: 'grant_date', direction: 'desc' });
+  assert.deepEqual(nextSort({ field: 'grant_date', direction: 'desc' }, 'grant_date'), { field: 'grant_date', direction: 'asc' });
+});
+
+test('validates saved sorts', () => {
+  assert.equal(isValidSort(null), true);
+  assert.equal(isValidSort({ field: 'title', direction: 'asc' }), true);
+  assert.equal(isValidSort({ field: 'title', direction: 'up' }), false);
+  assert.equal(isValidSort({ field: 'colour', direction: 'asc' }), false);
+  assert.equal(isValidSort(undefined), false);
+});
@@ -0,0 +1,69 @@
+// runDiff.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffRuns, RUN_DIFF_LIMIT } from "../runDiff.js";
+import { addRun, createRunSnapshot, findRun, MAX_RUNS } from "../searchRuns.js";
+
+const items = (...numbers) => numbers.map(publication_number => ({ publication_number }));
+
+test('marks new, retained and removed results with rank changes', () => {
+  const { rows, summary } = diffRuns(items('A', 'B', 'C'), items('C', 'A', 'D'));
+
+  assert.deepEqual(
+    rows.map(({ status, item, rank, previousRank, rankChange }) => [status, item.publication_number, rank, previousRank, rankChange]),
+    [
+      ['retained', 'C', 1, 3, 2],
+      ['retained', 'A', 2, 1, -1],
+      ['new', 'D', 3, null, null],
+      ['removed', 'B', null, 2, null]
+    ]
+  );
+  assert.deepEqual(summary, { new: 1, retained: 2, removed: 1 });
+});
+
+test('uses the first rank of a publication listed twice', () => {
+  const { rows } = diffRuns(items('A', 'A', 'B'), items('B', 'A'));
+
+  assert.deepEqual(rows.map(row => [row.item.publication_number, row.previousRank]), [['B', 3], ['A', 1]]);
+});
+
+test('handles empty and missing result lists', () => {
+  assert.deepEqual(diffRuns(null, items('A')).summary, { new: 1, retained: 0, removed: 0 });
+  assert.deepEqual(diffRuns(items('A'), undefined).summary, { new: 0, retained: 0, removed: 1 });
+  assert.deepEqual(diffRuns([], []).rows, []);
+});
+
+test('snapshots a run with slim rows for its top RUN_DIFF_LIMIT results', () => {
+  const state = {
+    library: 'patents',
+    method: { selected: 'basic' },
+    filters: [{ name: 'keywords-include', value: ['sensor'] }],
+    search: { sort: null, items_per_page: 10 }
+  };
+  const results = Array.from({ length: RUN_DIFF_LIMIT + 5 }, (_, i) => ({
+    publication_number: `US${i}`,
+    title: `Sensor ${i}`,
+    abstract: 'A long abstract',
+    claims: ['A claim'],
+    score: i === 0 ? 0.9 : null
+  }));
+  const run = createRunSnapshot(state, { searchInput: { library: 'patents' }, results, total: 500 });
+
+  assert.equal(run.results.length, RUN_DIFF_LIMIT);
+  assert.deepEqual(run.results[0], { publication_number: 'US0', title: 'Sensor 0', rank: 1, score: 0.9 });
+  assert.deepEqual(run.results[1], { publication_number: 'US1', title: 'Sensor 1', rank: 2 });
+  assert.equal(run.total, 500);
+  // Later edits to the state don't reach the snapshot
+  state.filters[0].value.push('probe');
+  assert.deepEqual(run.filters[0].value, ['sensor']);
+});
+
+test('keeps the newest MAX_RUNS runs', () => {
+  let runs = [];
+  for (let i = 0; i < MAX_RUNS + 3; i++) runs = addRun(runs, { id: `run-${i}` });
+
+  assert.equal(runs.length, MAX_RUNS);
+  assert.equal(runs[0].id, `run-${MAX_RUNS + 2}`);
+  assert.equal(findRun(runs, 'run-0'), null);
+  assert.equal(findRun(runs, 'run-5').id, 'run-5');
+});
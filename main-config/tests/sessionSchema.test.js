@@ -0,0 +1,101 @@
+// sessionSchema.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Logger } from "../logger.js";
+import {
+  SESSION_SCHEMA_VERSION,
+  SessionSchemaError,
+  migrateSession,
+  prepareSession,
+  stampSession,
+  validateSession
+} from "../sessionSchema.js";
+
+Logger.enabled = false;
+
+const results = Array.from({ length: 25 }, (_, i) => ({ publication_number: `US${i + 1}` }));
+
+// Saved before schemaVersion was stamped: filters as an object, a plain
+// description and every result in one array
+const unversioned = {
+  library: 'patents',
+  method: { selected: 'descriptive', description: 'A sensor for measuring humidity' },
+  filters: { 'keywords-include': ['sensor'] },
+  search: { results, current_page: 2, items_per_page: 10 },
+  history: { past: [{ library: 'tto' }], future: [] }
+};
+
+test('migrates an unversioned session to the current schema', () => {
+  const session = prepareSession(unversioned);
+
+  assert.equal(session.schemaVersion, SESSION_SCHEMA_VERSION);
+  assert.deepEqual(validateSession(session), []);
+  assert.deepEqual(session.method.description.value, 'A sensor for measuring humidity');
+  assert.equal(session.method.description.isValid, true);
+  assert.deepEqual(session.filters, [{ name: 'keywords-include', value: ['sensor'], order: 0 }]);
+});
+
+test('keeps only the saved page and records the total (1 -> 2)', () => {
+  const { search } = prepareSession(unversioned);
+
+  assert.equal(search.total_results, 25);
+  assert.equal(search.current_page, 2);
+  assert.deepEqual(search.results, results.slice(10, 20));
+});
+
+test('adds the defaults of every later migration', () => {
+  const session = prepareSession(unversioned);
+
+  assert.equal(session.search.sort, null);
+  assert.equal(session.search.refinement, '');
+  assert.equal(session.search.refined_total, null);
+  assert.equal(session.search.run_id, null);
+  assert.deepEqual(session.search.selected, []);
+  assert.equal(session.search.group_families, false);
+  assert.equal(session.search.total_is_estimate, false);
+  assert.deepEqual(session.runs, []);
+  assert.deepEqual(session.annotations, {});
+  assert.deepEqual(session.collections, []);
+});
+
+test('keeps saved undo history', () => {
+  assert.deepEqual(prepareSession(unversioned).history, { past: [{ library: 'tto' }], future: [] });
+});
+
+test('starts each migration from the version it is given', () => {
+  const session = prepareSession({
+    ...prepareSession(unversioned),
+    schemaVersion: 8,
+    collections: undefined,
+    runs: [{ id: 'run-1', results: [] }]
+  });
+
+  assert.deepEqual(session.collections, []);
+  assert.deepEqual(session.runs, [{ id: 'run-1', results: [] }]);
+});
+
+test('does not modify the payload it migrates', () => {
+  const payload = JSON.parse(JSON.stringify(unversioned));
+  migrateSession(payload);
+  assert.deepEqual(payload, unversioned);
+});
+
+test('rejects sessions from a newer schema', () => {
+  assert.throws(
+    () => migrateSession({ schemaVersion: SESSION_SCHEMA_VERSION + 1 }),
+    SessionSchemaError
+  );
+});
+
+test('rejects payloads that are invalid after migration', () => {
+  assert.throws(
+    () => prepareSession({ ...prepareSession(unversioned), library: 'books' }),
+    error => error instanceof SessionSchemaError && /library "books"/.test(error.message)
+  );
+});
+
+test('stamps the version and keeps undo history in saved payloads', () => {
+  const history = { past: [{ library: 'tto' }], future: [] };
+  const stamped = stampSession({ library: 'patents', history });
+  assert.deepEqual(stamped, { library: 'patents', history, schemaVersion: SESSION_SCHEMA_VERSION });
+});
@@ -0,0 +1,82 @@
+// sessionState.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Logger } from "../logger.js";
+import SessionState from "../sessionState.js";
+
+Logger.enabled = false;
+
+// Copies each value, since selectors may hand out live state
+function track(state, paths, selector = null) {
+  const calls = [];
+  state.subscribe(paths, value => calls.push(structuredClone(value)), selector);
+  return calls;
+}
+
+test('notifies subscribers of the changed path, its ancestors and descendants', () => {
+  const state = new SessionState(null);
+  const search = track(state, 'search');
+  const sort = track(state, 'search.sort');
+  const library = track(state, 'library');
+
+  state.update('search.sort', { field: 'title', direction: 'asc' });
+  assert.equal(search.length, 1);
+  assert.deepEqual(sort, [{ field: 'title', direction: 'asc' }]);
+
+  state.update('search', { ...state.get().search, sort: null });
+  assert.deepEqual(sort.at(-1), null);
+  assert.equal(search.length, 2);
+  assert.equal(library.length, 0);
+});
+
+test('does not match paths that only share a prefix', () => {
+  const state = new SessionState(null);
+  const searchRan = track(state, 'searchRan');
+  state.update('search.refinement', 'pump');
+  assert.equal(searchRan.length, 0);
+});
+
+test('skips a subscriber whose selected value did not change', () => {
+  const state = new SessionState(null);
+  const calls = track(state, 'search', s => s.search.current_page);
+
+  state.updateSearchState({ loading: true });
+  state.updateSearchState({ loading: false });
+  assert.deepEqual(calls, [1]);
+
+  state.updateSearchState({ current_page: 2 });
+  assert.deepEqual(calls, [1, 2]);
+});
+
+test('sees filters that were mutated in place', () => {
+  const state = new SessionState(null);
+  const calls = track(state, 'filters', s => s.filters.map(f => f.value));
+
+  const filters = state.get().filters;
+  filters.push({ name: 'keywords-include', value: ['sensor'] });
+  state.update('filters', filters);
+  filters[0].value.push('detector');
+  state.update('filters', filters);
+
+  assert.deepEqual(calls, [[['sensor']], [['sensor', 'detector']]]);
+});
+
+test("notifies every subscriber with '*' after undo", () => {
+  const state = new SessionState(null);
+  state.update('library', 'patents');
+  const library = track(state, 'library');
+  const history = track(state, 'history', s => s.history.past.length);
+
+  assert.equal(state.undo(), true);
+  assert.deepEqual(library, [null]);
+  assert.deepEqual(history, [0]);
+});
+
+test('keeps notifying the others when one subscriber throws', () => {
+  const state = new SessionState(null);
+  state.subscribe('library', () => { throw new Error('render failed'); });
+  const calls = track(state, 'library');
+
+  state.update('library', 'tto');
+  assert.deepEqual(calls, ['tto']);
+});
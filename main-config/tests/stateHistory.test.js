@@ -0,0 +1,108 @@
+// stateHistory.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Logger } from "../logger.js";
+import StateHistory, { MAX_HISTORY_ENTRIES } from "../stateHistory.js";
+import SessionState from "../sessionState.js";
+import { prepareSession, stampSession } from "../sessionSchema.js";
+
+Logger.enabled = false;
+globalThis.window = { app: { eventBus: { emit() {} } } };
+
+function createState() {
+  return {
+    library: 'patents',
+    method: { selected: 'basic' },
+    filters: [],
+    search: { results: null },
+    history: StateHistory.getInitialState()
+  };
+}
+
+test('records changes to the tracked keys only', () => {
+  const history = new StateHistory();
+  const state = createState();
+  history.reset(state);
+
+  state.search.results = [{ publication_number: 'EP1' }];
+  assert.equal(history.record(state), false);
+
+  state.library = 'tto';
+  assert.equal(history.record(state), true);
+  assert.deepEqual(state.history.past.map(entry => entry.library), ['patents']);
+  assert.equal(history.canUndo(state), true);
+  assert.equal(history.canRedo(state), false);
+});
+
+test('undoes and redoes, and a new change clears the redo stack', () => {
+  const history = new StateHistory();
+  const state = createState();
+  history.reset(state);
+  state.library = 'tto';
+  history.record(state);
+
+  assert.equal(history.undo(state), true);
+  assert.equal(state.library, 'patents');
+  assert.equal(history.canRedo(state), true);
+
+  assert.equal(history.redo(state), true);
+  assert.equal(state.library, 'tto');
+
+  history.undo(state);
+  state.method = { selected: 'descriptive' };
+  history.record(state);
+  assert.equal(history.canRedo(state), false);
+  assert.equal(history.redo(state), false);
+});
+
+test('compares against the last committed snapshot when filters change in place', () => {
+  const history = new StateHistory();
+  const state = createState();
+  history.reset(state);
+
+  // Mutated before anyone calls record(), as filter handlers do
+  state.filters.push({ name: 'keywords-include', value: ['sensor'] });
+  assert.equal(history.record(state), true);
+  state.filters[0].value.push('detector');
+  assert.equal(history.record(state), true);
+
+  history.undo(state);
+  assert.deepEqual(state.filters, [{ name: 'keywords-include', value: ['sensor'] }]);
+  history.undo(state);
+  assert.deepEqual(state.filters, []);
+});
+
+test(`keeps at most ${MAX_HISTORY_ENTRIES} undo steps`, () => {
+  const history = new StateHistory();
+  const state = createState();
+  history.reset(state);
+
+  for (let i = 1; i <= MAX_HISTORY_ENTRIES + 5; i++) {
+    state.method = { selected: 'basic', step: i };
+    history.record(state);
+  }
+  assert.equal(state.history.past.length, MAX_HISTORY_ENTRIES);
+  assert.equal(state.history.past[0].method.step, 5);
+});
+
+test('cuts oversized stacks to the cap on reset', () => {
+  const history = new StateHistory();
+  const state = createState();
+  state.history.past = Array.from({ length: MAX_HISTORY_ENTRIES + 3 }, (_, i) => ({ library: `l${i}` }));
+  history.reset(state);
+  assert.equal(state.history.past.length, MAX_HISTORY_ENTRIES);
+  assert.equal(state.history.past.at(-1).library, `l${MAX_HISTORY_ENTRIES + 2}`);
+});
+
+test('keeps undo steps through a session save and load', () => {
+  const saved = new SessionState(null);
+  saved.update('library', 'patents');
+  saved.update('library', 'tto');
+  assert.equal(saved.canUndo(), true);
+
+  const loaded = new SessionState(null);
+  loaded.load(prepareSession(stampSession(saved.get())));
+  assert.equal(loaded.canUndo(), true);
+  assert.equal(loaded.undo(), true);
+  assert.equal(loaded.get().library, 'patents');
+});
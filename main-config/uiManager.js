@@ -6,6 +6,21 @@ import { FilterSetup } from "./filterSetup.js";
 import { FilterUpdate } from "./filterUpdate.js";
 import { SearchResultManager } from "./searchResultManager.js";
 import { AccordionManager } from "./accordionManager.js";
+import { BooleanQueryBuilder } from "./booleanQueryBuilder.js";
+import { ResultFacetsPanel } from "./resultFacetsPanel.js";
+import { SearchRunsPanel } from "./searchRunsPanel.js";
+import { RunDiffPanel } from "./runDiffPanel.js";
+import { ResultAnnotationsPanel } from "./resultAnnotationsPanel.js";
+import { BulkActionsPanel } from "./bulkActionsPanel.js";
+import { ResultCollectionsPanel } from "./resultCollectionsPanel.js";
+import { QUERY_TEXT_FILTERS } from "./queryLanguage.js";
+import { KeyboardShortcuts } from "./keyboardShortcuts.js";
+import { CommandPalette } from "./commandPalette.js";
+import { SimilarSearchDialog } from "./similarSearchDialog.js";
+import { RESULT_TAGS } from "./resultAnnotations.js";
+import { EXPORT_FORMATS } from "./resultExport.js";
+import { refineResults } from "./resultRefine.js";
+import { EXCLUDE_FILTER } from "./publicationExclusions.js";
 
 export default class UIManager {
   constructor(eventBus) {
@@ -14,9 +29,144 @@ export default class UIManager {
     this.filterUpdate = new FilterUpdate(eventBus);
     this.searchManager = new SearchResultManager(eventBus);
     this.accordionManager = new AccordionManager();
+    this.booleanQueryBuilder = new BooleanQueryBuilder(eventBus);
+    this.resultFacetsPanel = new ResultFacetsPanel(eventBus);
+    this.searchRunsPanel = new SearchRunsPanel(eventBus);
+    this.runDiffPanel = new RunDiffPanel(eventBus);
+    this.resultAnnotationsPanel = new ResultAnnotationsPanel(eventBus);
+    this.bulkActionsPanel = new BulkActionsPanel(eventBus);
+    this.resultCollectionsPanel = new ResultCollectionsPanel(eventBus);
+    this.shortcuts = new KeyboardShortcuts();
+    this.commandPalette = new CommandPalette(this.shortcuts, query => this.getPaletteCommands(query));
+    this.similarSearchDialog = new SimilarSearchDialog(eventBus);
+    // Saved sessions for the palette, as last loaded by AuthManager
+    this.sessions = [];
+    this.sessionState = null;
     this.isInitialized = false;
   }
 
+  bindState(sessionState) {
+    this.sessionState = sessionState;
+  }
+
+  // Each UI piece re-renders only when its own slice of state changes.
+  // updateAll() is still used for full refreshes after a session load.
+  setupStateSubscriptions() {
+    if (!this.sessionState) {
+      Logger.warn('No session state bound, UI will only refresh through updateAll');
+      return;
+    }
+
+    const filterNames = state => (state.filters || []).map(f => `${f.name}:${f.order}`);
+    const filterValue = name => state => state.filters?.find(f => f.name === name)?.value ?? null;
+    const watch = (paths, selector, render) => {
+      this.sessionState.subscribe(paths, (value, state) => render(state), selector);
+    };
+
+    watch(['library', 'filters'], state => ({
+      library: state.library,
+      filters: filterNames(state)
+    }), state => this.updateStepVisibility(state));
+
+    watch(['library', 'method', 'filters'], state => ({
+      library: state.library,
+      method: state.method,
+      hasKeywords: this.filterUpdate.filterExists("keywords-include", state)
+    }), state => {
+      this.updateMethodDisplay(state);
+      this.updateActiveStates(state);
+    });
+
+    watch(['method.selected', 'filters'], state => ({
+      method: state.method?.selected,
+      filters: filterNames(state)
+    }), state => {
+      this.filterUpdate.updateFilterOptionsBox(state);
+      this.filterUpdate.updateFilterStepsDisplay(state);
+      this.filterUpdate.updateFilterOptionButtons(state);
+    });
+
+    [
+      ["keywords-include", state => this.filterUpdate.updateKeywordsDisplay(state)],
+      ["keywords-concepts", state => this.filterUpdate.updateConceptBlocksDisplay(state)],
+      ["keywords-exclude", state => this.filterUpdate.updateExcludedKeywordsDisplay(state)],
+      ["code", state => this.filterUpdate.updateCodesDisplay(state)],
+      ["inventor", state => this.filterUpdate.updateInventorsDisplay(state)],
+      ["assignee", state => this.filterUpdate.updateAssigneesDisplay(state)],
+      ["date", state => this.filterUpdate.updateDateDisplay(state)],
+      ["publication-exclude", state => {
+        this.filterUpdate.updateExcludedPublicationsDisplay(state);
+        this.searchManager.updateExclusionMarkers(state);
+      }]
+    ].forEach(([name, render]) => watch('filters', filterValue(name), render));
+
+    watch('filters', filterValue("keywords-boolean"), state => this.booleanQueryBuilder.render(state));
+
+    watch('filters', state => (state.filters || [])
+      .filter(f => QUERY_TEXT_FILTERS.includes(f.name))
+      .map(f => [f.name, f.type || null, f.value]),
+    state => this.filterUpdate.updateQueryTextDisplay(state));
+
+    watch(['library', 'search', 'searchRan'], state => ({
+      library: state.library,
+      searchRan: state.searchRan,
+      hasResults: !!state.search?.results,
+      reloadRequired: state.search?.reload_required,
+      currentPage: state.search?.current_page,
+      totalPages: state.search?.total_pages,
+      totalResults: state.search?.total_results,
+      totalIsEstimate: state.search?.total_is_estimate,
+      loading: state.search?.loading,
+      sort: state.search?.sort,
+      refinement: state.search?.refinement,
+      groupFamilies: state.search?.group_families,
+      familyPool: state.search?.group_families ? (this.sessionState.getAllResults()?.length ?? null) : null,
+      allResultsCapped: this.sessionState.isAllResultsCapped(),
+      refinedTotal: state.search?.refined_total,
+      items: this.sessionState.getSearchPageItems().map(item => item.publication_number)
+    }), state => this.renderSearchResults(state));
+
+    watch(['search', 'searchRan', 'filters'], state => ({
+      searchRan: state.searchRan,
+      totalResults: state.search?.total_results,
+      loaded: this.sessionState.getLoadedResults().map(item => item.publication_number),
+      all: this.sessionState.getAllResults()?.length ?? null,
+      applied: ['assignee', 'code', 'inventor', 'date'].map(name => filterValue(name)(state))
+    }), state => this.renderFacets(state));
+
+    watch(['runs', 'search.run_id'], state => ({
+      runs: (state.runs || []).map(run => run.id),
+      current: state.search?.run_id
+    }), state => this.searchRunsPanel.render(state));
+
+    watch('search.active_item', null, state => this.searchManager.updateSidebar(state));
+
+    watch('search.selected', null, state => this.searchManager.updateSelectionDisplay(state));
+
+    watch(['search', 'annotations', 'collections'], state => ({
+      selected: state.search?.selected,
+      page: this.sessionState.getSearchPageItems().map(item => item.publication_number),
+      total: state.search?.refinement ? state.search?.refined_total : state.search?.total_results,
+      tags: Object.values(state.annotations || {}).flatMap(annotation => annotation.tags),
+      collections: (state.collections || []).map(collection => collection.name)
+    }), state => this.bulkActionsPanel.render(state));
+
+    watch('collections', null, state => this.resultCollectionsPanel.render(state));
+
+    watch(['annotations', 'search.active_item'], state => ({
+      item: state.search?.active_item?.publication_number || null,
+      annotations: state.annotations
+    }), state => {
+      this.resultAnnotationsPanel.render(state);
+      this.searchManager.updateRowMarkers(state);
+    });
+
+    watch('history', state => ({
+      past: state.history?.past?.length || 0,
+      future: state.history?.future?.length || 0
+    }), state => this.updateHistoryButtons(state));
+  }
+
   // Keep the original method name to match SearchApp's calls
   initialize(initialState = null) {
     if (this.isInitialized) {
@@ -37,6 +187,8 @@ export default class UIManager {
     
     this.isInitialized = true;
 
+    this.setupStateSubscriptions();
+
     // If we have an initial state, update the UI
     if (initialState) {
       this.updateAll(initialState);
@@ -90,7 +242,13 @@ export default class UIManager {
     this.setupFilterEventHandlers();
     this.filterSetup.setupAllFilters();
     this.searchManager.setupSearchEventListeners();
+    this.runDiffPanel.setupEventListeners();
     this.setupSessionEventListeners();
+    this.setupHistoryListeners();
+    this.setupReviewShortcuts();
+    this.setupCommandPalette();
+    this.setupSimilarSearch();
+    this.shortcuts.attach();
   }
 
   // Keep the original method name to match existing calls
@@ -108,10 +266,50 @@ export default class UIManager {
     // Update all UI components based on state
     this.updateMethodDisplay(state);
     this.filterUpdate.updateAllFilterDisplays(state);
-    this.searchManager.updateSearchResultsDisplay(state);
+    this.booleanQueryBuilder.render(state);
+    this.renderSearchResults(state);
     this.searchManager.updateSidebar(state);
+    this.resultAnnotationsPanel.render(state);
+    this.bulkActionsPanel.render(state);
+    this.resultCollectionsPanel.render(state);
+    this.renderFacets(state);
+    this.searchRunsPanel.render(state);
     // Update active states for library and method selections
     this.updateActiveStates(state);
+    this.updateHistoryButtons(state);
+  }
+
+  // Grouped results de-duplicate families across the whole result set (the
+  // refined part of it while refining); until it arrives they group per page.
+  // Refinements run over that set too, which is capped.
+  renderSearchResults(state) {
+    let familyPool = null;
+    if (state.search?.group_families) {
+      const all = this.sessionState.getAllResults();
+      if (all) {
+        familyPool = state.search.refinement
+          ? { results: refineResults(all, state.search.refinement), total: state.search.refined_total || 0 }
+          : { results: all, total: this.sessionState.getAllResultsTotal() };
+      } else if (state.searchRan && state.search.results?.length) {
+        this.eventBus.emit(EventTypes.SEARCH_ALL_RESULTS_REQUESTED);
+      }
+    }
+    const refinedSample = state.search?.refinement && this.sessionState.isAllResultsCapped()
+      ? this.sessionState.getAllResults().length
+      : null;
+    this.searchManager.updateSearchResultsDisplay(state, { familyPool, refinedSample });
+  }
+
+  // Facets count the whole result set; until it arrives, the pages loaded so far
+  renderFacets(state) {
+    const all = this.sessionState.getAllResults();
+    if (!all && state.searchRan && state.search?.results?.length) {
+      this.eventBus.emit(EventTypes.SEARCH_ALL_RESULTS_REQUESTED);
+    }
+    this.resultFacetsPanel.render(state, all || this.sessionState.getLoadedResults(), {
+      complete: !!all,
+      total: all ? this.sessionState.getAllResultsTotal() : (state.search?.total_results || 0)
+    });
   }
 
  updateStepVisibility(state) {
@@ -159,21 +357,23 @@ export default class UIManager {
     // Sort filters by order
     const sortedFilters = [...state.filters].sort((a, b) => a.order - b.order);
     
-    // Position each filter step after method step
-    sortedFilters.forEach((filter, index) => {
+    // Position each filter step after method step. Filters edited inside
+    // another step (e.g. keywords-boolean) have no step of their own.
+    let targetPosition = 2;
+    sortedFilters.forEach(filter => {
       const filterStep = container.querySelector(`[step-name="${filter.name}"]`)?.closest('.horizontal-slide_wrapper');
       if (filterStep) {
         const wasVisible = previouslyVisibleSteps.has(filter.name);
         this.accordionManager.handleStepVisibilityChange(filterStep, true);
         
-        // Calculate target position (2 for library/method + current filter index)
-        const targetPosition = 2 + index;
+        // Target position is 2 for library/method plus the steps placed so far
         const currentPosition = Array.from(container.children).indexOf(filterStep);
         
         if (currentPosition !== targetPosition) {
           const referenceNode = container.children[targetPosition] || null;
           container.insertBefore(filterStep, referenceNode);
         }
+        targetPosition++;
 
         // If this is a newly added step, store it for scrolling
         if (!wasVisible) {
@@ -204,6 +404,13 @@ export default class UIManager {
     });
   }
 
+  updateHistoryButtons(state) {
+    const undoBtn = document.querySelector("#undo-button");
+    const redoBtn = document.querySelector("#redo-button");
+    if (undoBtn) undoBtn.disabled = !state.history?.past?.length;
+    if (redoBtn) redoBtn.disabled = !state.history?.future?.length;
+  }
+
   updateAccordionStates(state) {
     document.querySelectorAll('.horizontal-slide_wrapper[style*="display: "').forEach(step => {
       const trigger = step.querySelector('[data-accordion="trigger"]');
@@ -292,22 +499,25 @@ setupFilterEventHandlers() {
   document.querySelectorAll('[data-filter-option]').forEach(btn => {
     btn.addEventListener('click', e => {
       e.preventDefault();
-      const filterName = btn.getAttribute('data-filter-option');
-      this.eventBus.emit(EventTypes.FILTER_ADDED, { filterName });
-      
-      // Let state update first, then handle visibility and scrolling
-      setTimeout(() => {
-        const stepElement = document.querySelector(`[step-name="${filterName}"]`)
-          ?.closest('.horizontal-slide_wrapper');
-        if (stepElement) {
-          this.accordionManager.handleStepVisibilityChange(stepElement, true);
-          // Add slight delay to ensure accordion animation has started
-          this.scrollToElement(stepElement, 100);
-        }
-      }, 50);
+      this.addFilter(btn.getAttribute('data-filter-option'));
     });
   });
 }
+
+addFilter(filterName) {
+  this.eventBus.emit(EventTypes.FILTER_ADDED, { filterName });
+
+  // Let state update first, then handle visibility and scrolling
+  setTimeout(() => {
+    const stepElement = document.querySelector(`[step-name="${filterName}"]`)
+      ?.closest('.horizontal-slide_wrapper');
+    if (stepElement) {
+      this.accordionManager.handleStepVisibilityChange(stepElement, true);
+      // Add slight delay to ensure accordion animation has started
+      this.scrollToElement(stepElement, 100);
+    }
+  }, 50);
+}
   
   updateMethodDisplay(state) {
     const methodWrapper = document.querySelector('[step-name="method"]')?.closest(".horizontal-slide_wrapper");
@@ -396,6 +606,270 @@ setupFilterEventHandlers() {
       }
     });
   }
+  setupHistoryListeners() {
+    const undoBtn = document.querySelector("#undo-button");
+    if (undoBtn) {
+      undoBtn.addEventListener("click", e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.HISTORY_UNDO);
+      });
+    }
+    const redoBtn = document.querySelector("#redo-button");
+    if (redoBtn) {
+      redoBtn.addEventListener("click", e => {
+        e.preventDefault();
+        this.eventBus.emit(EventTypes.HISTORY_REDO);
+      });
+    }
+
+    // Text fields keep the browser's own undo
+    this.shortcuts.register({
+      id: "history-undo",
+      combos: "mod+z",
+      description: "Undo",
+      handler: () => this.eventBus.emit(EventTypes.HISTORY_UNDO)
+    });
+    this.shortcuts.register({
+      id: "history-redo",
+      combos: "mod+shift+z",
+      description: "Redo",
+      handler: () => this.eventBus.emit(EventTypes.HISTORY_REDO)
+    });
+  }
+
+  setupCommandPalette() {
+    this.eventBus.on(AUTH_EVENTS.SESSIONS_LOADED, ({ sessions }) => {
+      this.sessions = Array.isArray(sessions) ? sessions : [];
+    });
+
+    this.shortcuts.register({
+      id: "command-palette",
+      combos: "mod+k",
+      description: "Command palette",
+      allowInInputs: true,
+      handler: () => this.commandPalette.toggle()
+    });
+    this.shortcuts.register({
+      id: "search-run",
+      combos: "mod+enter",
+      description: "Run search",
+      allowInInputs: true,
+      handler: () => this.runSearch()
+    });
+  }
+
+  // Only asks about the filters when there are some to keep; exclusions
+  // always carry over
+  setupSimilarSearch() {
+    this.eventBus.on(EventTypes.SEARCH_SIMILAR_REQUESTED, ({ item }) => {
+      if (!item?.publication_number) return;
+      const filters = this.sessionState?.get().filters || [];
+      if (filters.some(f => f.name !== EXCLUDE_FILTER)) {
+        this.similarSearchDialog.open(item);
+      } else {
+        this.eventBus.emit(EventTypes.SEARCH_SIMILAR_CONFIRMED, { item, keepFilters: false });
+      }
+    });
+  }
+
+  runSearch() {
+    this.searchManager.initiateSearch(document.querySelector('#run-search'));
+  }
+
+  // Every action the palette offers, built from the options on the page and
+  // the current state. A number typed into the palette adds "Go to page N".
+  getPaletteCommands(query = "") {
+    const state = this.sessionState?.get() || {};
+    const search = state.search || {};
+    const emit = (eventType, payload) => () => this.eventBus.emit(eventType, payload);
+    const optionLabel = (el, value) => (el.textContent || "").trim().split(/\s*\n\s*/)[0] || value;
+    const commands = [];
+
+    document.querySelectorAll("[data-library-option]").forEach(el => {
+      const value = el.dataset.libraryOption;
+      commands.push({
+        id: `library-${value}`,
+        group: "Library",
+        title: `Switch to ${optionLabel(el, value)}`,
+        run: emit(EventTypes.LIBRARY_SELECTED, { value })
+      });
+    });
+
+    document.querySelectorAll("[data-method-option]").forEach(el => {
+      const value = el.dataset.methodOption;
+      commands.push({
+        id: `method-${value}`,
+        group: "Method",
+        title: `Use ${optionLabel(el, value)}`,
+        run: emit(EventTypes.METHOD_SELECTED, { value })
+      });
+    });
+
+    document.querySelectorAll("[data-filter-option]").forEach(el => {
+      const filterName = el.getAttribute("data-filter-option");
+      if (state.filters?.some(f => f.name === filterName)) return;
+      commands.push({
+        id: `filter-${filterName}`,
+        group: "Filter",
+        title: `Add ${optionLabel(el, filterName)}`,
+        run: () => this.addFilter(filterName)
+      });
+    });
+
+    commands.push({
+      id: "search-run",
+      group: "Search",
+      title: state.searchRan ? "Re-run search" : "Run search",
+      shortcutId: "search-run",
+      run: () => this.runSearch()
+    });
+
+    if (search.results) {
+      const pageNumber = /^(?:page\s*)?(\d+)$/i.exec(query.trim())?.[1];
+      if (pageNumber) {
+        commands.push({
+          id: "page-goto",
+          group: "Results",
+          title: `Go to page ${pageNumber} of ${search.total_pages}`,
+          fromQuery: true,
+          run: emit(EventTypes.SEARCH_PAGE_GOTO, { page: Number(pageNumber) })
+        });
+      }
+      commands.push(
+        { id: "page-first", group: "Results", title: "First page", run: emit(EventTypes.SEARCH_PAGE_GOTO, { page: 1 }) },
+        { id: "page-prev", group: "Results", title: "Previous page", run: emit(EventTypes.SEARCH_PAGE_PREV) },
+        { id: "page-next", group: "Results", title: "Next page", run: emit(EventTypes.SEARCH_PAGE_NEXT) },
+        { id: "page-last", group: "Results", title: "Last page", run: emit(EventTypes.SEARCH_PAGE_GOTO, { page: Infinity }) },
+        { id: "result-next", group: "Results", title: "Open next result", shortcutId: ["result-next", "result-next-arrow"], run: emit(EventTypes.SEARCH_ITEM_NEXT) },
+        { id: "result-prev", group: "Results", title: "Open previous result", shortcutId: ["result-prev", "result-prev-arrow"], run: emit(EventTypes.SEARCH_ITEM_PREV) }
+      );
+
+      const scope = document.querySelector("#export-scope")?.value || "all";
+      Object.entries(EXPORT_FORMATS).forEach(([format, config]) => {
+        commands.push({
+          id: `export-${format}`,
+          group: "Export",
+          title: `Export ${scope} results as ${config.label}`,
+          run: emit(EventTypes.RESULTS_EXPORT_REQUESTED, { format, scope })
+        });
+      });
+      commands.push({
+        id: "report",
+        group: "Export",
+        title: "Printable search report",
+        run: emit(EventTypes.REPORT_REQUESTED)
+      });
+    }
+
+    if (search.active_item) {
+      commands.push(
+        { id: "result-close", group: "Result", title: "Close the result sidebar", shortcutId: "result-close", run: emit(EventTypes.SEARCH_ITEM_DESELECTED) },
+        { id: "result-star", group: "Result", title: "Star the open result", shortcutId: "result-star", run: emit(EventTypes.RESULT_STAR_TOGGLED, { item: search.active_item }) },
+        { id: "result-exclude", group: "Result", title: "Exclude the open result from future runs", shortcutId: "result-exclude", run: emit(EventTypes.PUBLICATION_EXCLUDED, { item: search.active_item }) },
+        { id: "result-similar", group: "Result", title: "Search for patents similar to the open result", run: emit(EventTypes.SEARCH_SIMILAR_REQUESTED, { item: search.active_item }) }
+      );
+      RESULT_TAGS.forEach((tag, index) => {
+        commands.push({
+          id: `result-tag-${index + 1}`,
+          group: "Result",
+          title: `Tag the open result "${tag}"`,
+          shortcutId: `result-tag-${index + 1}`,
+          run: emit(EventTypes.RESULT_TAG_TOGGLED, { item: search.active_item, tag })
+        });
+      });
+    }
+
+    commands.push(
+      { id: "history-undo", group: "Edit", title: "Undo", shortcutId: "history-undo", run: emit(EventTypes.HISTORY_UNDO) },
+      { id: "history-redo", group: "Edit", title: "Redo", shortcutId: "history-redo", run: emit(EventTypes.HISTORY_REDO) },
+      { id: "session-new", group: "Session", title: "Start a new session", run: emit(EventTypes.SESSION_NEW_REQUESTED) }
+    );
+
+    this.sessions.forEach(session => {
+      if (!session?.uniqueID) return;
+      const data = session.data || {};
+      const preview = data.method?.selected === "descriptive" && data.method?.description?.value
+        ? data.method.description.value
+        : data.method?.patent?.title || "Custom filter search";
+      const date = session.created_at ? new Date(session.created_at).toLocaleString() : "";
+      commands.push({
+        id: `session-open-${session.uniqueID}`,
+        group: "Open session",
+        title: [preview.slice(0, 80), date].filter(Boolean).join(" · "),
+        run: emit(EventTypes.SESSION_OPEN_REQUESTED, { sessionId: session.uniqueID })
+      });
+    });
+
+    return commands;
+  }
+
+  // Review results from the keyboard: j/k move through the list (across
+  // pages), s stars, 1-3 tag and Esc closes the sidebar. Arrow keys only
+  // take over while an item is open so they still scroll the page otherwise.
+  setupReviewShortcuts() {
+    const activeItem = () => this.sessionState?.get().search?.active_item || null;
+    const hasResults = () => !!this.sessionState?.get().search?.results?.length;
+
+    this.shortcuts.register({
+      id: "result-next",
+      combos: "j",
+      description: "Next result",
+      when: hasResults,
+      handler: () => this.eventBus.emit(EventTypes.SEARCH_ITEM_NEXT)
+    });
+    this.shortcuts.register({
+      id: "result-prev",
+      combos: "k",
+      description: "Previous result",
+      when: hasResults,
+      handler: () => this.eventBus.emit(EventTypes.SEARCH_ITEM_PREV)
+    });
+    this.shortcuts.register({
+      id: "result-next-arrow",
+      combos: "arrowdown",
+      description: "Next result",
+      when: activeItem,
+      handler: () => this.eventBus.emit(EventTypes.SEARCH_ITEM_NEXT)
+    });
+    this.shortcuts.register({
+      id: "result-prev-arrow",
+      combos: "arrowup",
+      description: "Previous result",
+      when: activeItem,
+      handler: () => this.eventBus.emit(EventTypes.SEARCH_ITEM_PREV)
+    });
+    this.shortcuts.register({
+      id: "result-close",
+      combos: "escape",
+      description: "Close the result sidebar",
+      when: activeItem,
+      handler: () => this.eventBus.emit(EventTypes.SEARCH_ITEM_DESELECTED)
+    });
+    this.shortcuts.register({
+      id: "result-exclude",
+      combos: "e",
+      description: "Exclude the open result from future runs",
+      when: activeItem,
+      handler: () => this.eventBus.emit(EventTypes.PUBLICATION_EXCLUDED, { item: activeItem() })
+    });
+    this.shortcuts.register({
+      id: "result-star",
+      combos: "s",
+      description: "Star the open result",
+      when: activeItem,
+      handler: () => this.eventBus.emit(EventTypes.RESULT_STAR_TOGGLED, { item: activeItem() })
+    });
+    RESULT_TAGS.forEach((tag, index) => {
+      this.shortcuts.register({
+        id: `result-tag-${index + 1}`,
+        combos: String(index + 1),
+        description: `Tag the open result "${tag}"`,
+        when: activeItem,
+        handler: () => this.eventBus.emit(EventTypes.RESULT_TAG_TOGGLED, { item: activeItem(), tag })
+      });
+    });
+  }
+
   setupSessionEventListeners() {
     this.eventBus.on(EventTypes.LOAD_SESSION, sessionData => {
       Logger.info('Session data loaded, updating UI:', sessionData);